@@ -1,9 +1,11 @@
 import { colors } from '@cliffy/ansi/colors';
-import { Command, EnumType } from '@cliffy/command';
+import { Command, EnumType, ValidationError } from '@cliffy/command';
 import { load } from '@std/dotenv';
 import { promptSecret } from '@std/cli/prompt-secret';
 import { Table } from '@cliffy/table';
 import { UrbackupServer } from 'urbackup-server-api';
+import https from 'https';
+import tls from 'tls';
 
 /**
  * A utility class for formatting data into locale-specific, human-readable strings.
@@ -66,6 +68,31 @@ class Formatter {
  */
 const cliTheme = { error: colors.bold.red, warning: colors.yellow, information: colors.blue };
 
+/**
+ * Service states and exit codes as defined by the Monitoring Plugins Development Guidelines (Nagios, Icinga).
+ */
+const pluginStates = {
+  ok: { label: 'OK', exitCode: 0 },
+  warning: { label: 'WARNING', exitCode: 1 },
+  critical: { label: 'CRITICAL', exitCode: 2 },
+  unknown: { label: 'UNKNOWN', exitCode: 3 },
+};
+
+/**
+ * Exit code of the `--exit-code` options, used when a result needs attention. Distinct from the exit code 1 of errors, so that scripts can tell them apart.
+ */
+const attentionExitCode = 3;
+
+/**
+ * Normalizes percentages of the usage columns, see `addUsageShares`. Used as the `normalizer` of property mappings.
+ *
+ * @param {Object} element - The element holding the percentage.
+ * @returns {string} The percentage with one decimal place, or an empty string if it is missing.
+ */
+const normalizePercent = function (element) {
+  return typeof element[this.property] === 'number' ? `${element[this.property].toFixed(1)}%` : '';
+};
+
 /**
  * Common mappings of properties.
  */
@@ -179,10 +206,18 @@ const MAPS = {
     speedCurrent: {
       property: 'speed_bpms',
       header: 'Speed',
+      normalizer: function (activityItem) {
+        // NOTE: Conversion is needed as UrBackup reports speed in bytes per millisecond.
+        return typeof activityItem[this.property] === 'number' && activityItem[this.property] >= 0 ? `${Formatter.formatBytes(activityItem[this.property] * 1000, 2)}/s` : 'n/a';
+      },
     },
     speedHistory: {
       property: 'past_speed_bpms',
       header: 'Speed History',
+      normalizer: function (activityItem) {
+        const samples = Array.isArray(activityItem[this.property]) ? activityItem[this.property].filter((sample) => typeof sample === 'number' && sample >= 0) : [];
+        return samples.length > 0 ? `${Formatter.formatBytes((samples.reduce((sum, sample) => sum + sample, 0) / samples.length) * 1000, 2)}/s` : 'n/a';
+      },
     },
     details: {
       property: 'detail_pc',
@@ -192,6 +227,10 @@ const MAPS = {
       property: 'details',
       header: 'Details',
     },
+    server: {
+      property: 'urbstat_server',
+      header: 'Server',
+    },
   },
   activityLast: {
     id: {
@@ -290,6 +329,10 @@ const MAPS = {
       property: 'details',
       header: 'Details',
     },
+    server: {
+      property: 'urbstat_server',
+      header: 'Server',
+    },
   },
   client: {
     id: {
@@ -466,6 +509,14 @@ const MAPS = {
       property: 'os_version_string',
       header: 'OS Version',
     },
+    server: {
+      property: 'urbstat_server',
+      header: 'Server',
+    },
+    change: {
+      property: 'urbstat_change',
+      header: 'Change',
+    },
   },
   usage: {
     clientName: {
@@ -514,6 +565,37 @@ const MAPS = {
         return Formatter.formatBytes(usageItem[this.property], 2);
       },
     },
+    filePercent: {
+      property: 'urbstat_files_percent',
+      header: 'File %',
+      table: {
+        minWidth: 7,
+        maxWidth: 7,
+      },
+      normalizer: normalizePercent,
+    },
+    imagePercent: {
+      property: 'urbstat_images_percent',
+      header: 'Image %',
+      table: {
+        minWidth: 7,
+        maxWidth: 7,
+      },
+      normalizer: normalizePercent,
+    },
+    usedPercent: {
+      property: 'urbstat_used_percent',
+      header: 'Total %',
+      table: {
+        minWidth: 7,
+        maxWidth: 7,
+      },
+      normalizer: normalizePercent,
+    },
+    server: {
+      property: 'urbstat_server',
+      header: 'Server',
+    },
   },
   group: {
     id: {
@@ -569,1097 +651,5367 @@ const MAPS = {
       },
     },
   },
+  backupFile: {
+    kind: {
+      property: 'urbstat_kind',
+      header: 'Kind',
+      table: {
+        include: false,
+        minWidth: 5,
+        maxWidth: 5,
+      },
+    },
+    id: {
+      property: 'id',
+      header: 'Backup ID',
+      table: {
+        include: true,
+        minWidth: 9,
+        maxWidth: 9,
+      },
+      inList: true,
+    },
+    time: {
+      property: 'backuptime',
+      header: 'Backup Time',
+      table: {
+        include: true,
+        minWidth: 11,
+        maxWidth: 11,
+      },
+      normalizer: function (backupItem) {
+        return Formatter.formatDateTime(backupItem[this.property]);
+      },
+    },
+    type: {
+      property: 'incremental',
+      header: 'Type',
+      table: {
+        include: true,
+        minWidth: 11,
+        maxWidth: 11,
+      },
+      normalizer: function (backupItem) {
+        return backupItem[this.property] > 0 ? 'incremental' : 'full';
+      },
+    },
+    size: {
+      property: 'size_bytes',
+      header: 'Size',
+      table: {
+        include: true,
+        minWidth: 10,
+        maxWidth: 10,
+      },
+      normalizer: function (backupItem) {
+        return Formatter.formatBytes(backupItem[this.property], 2);
+      },
+    },
+    isArchived: {
+      property: 'archived',
+      header: 'Archived',
+      table: {
+        include: true,
+        minWidth: 8,
+        maxWidth: 8,
+      },
+      normalizer: function (backupItem) {
+        return backupItem[this.property] > 0 || backupItem[this.property] === true ? 'yes' : 'no';
+      },
+    },
+  },
+  backupImage: {
+    kind: {
+      property: 'urbstat_kind',
+      header: 'Kind',
+      table: {
+        include: false,
+        minWidth: 5,
+        maxWidth: 5,
+      },
+    },
+    id: {
+      property: 'id',
+      header: 'Backup ID',
+      table: {
+        include: true,
+        minWidth: 9,
+        maxWidth: 9,
+      },
+      inList: true,
+    },
+    time: {
+      property: 'backuptime',
+      header: 'Backup Time',
+      table: {
+        include: true,
+        minWidth: 11,
+        maxWidth: 11,
+      },
+      normalizer: function (backupItem) {
+        return Formatter.formatDateTime(backupItem[this.property]);
+      },
+    },
+    type: {
+      property: 'incremental',
+      header: 'Type',
+      table: {
+        include: true,
+        minWidth: 11,
+        maxWidth: 11,
+      },
+      normalizer: function (backupItem) {
+        return backupItem[this.property] > 0 ? 'incremental' : 'full';
+      },
+    },
+    size: {
+      property: 'size_bytes',
+      header: 'Size',
+      table: {
+        include: true,
+        minWidth: 10,
+        maxWidth: 10,
+      },
+      normalizer: function (backupItem) {
+        return Formatter.formatBytes(backupItem[this.property], 2);
+      },
+    },
+    isArchived: {
+      property: 'archived',
+      header: 'Archived',
+      table: {
+        include: true,
+        minWidth: 8,
+        maxWidth: 8,
+      },
+      normalizer: function (backupItem) {
+        return backupItem[this.property] > 0 || backupItem[this.property] === true ? 'yes' : 'no';
+      },
+    },
+    volume: {
+      property: 'letter',
+      header: 'Volume',
+      table: {
+        include: true,
+        minWidth: 6,
+        maxWidth: 6,
+      },
+    },
+  },
+  trend: {
+    clientName: {
+      property: 'name',
+      header: 'Client Name',
+      table: {
+        include: true,
+        minWidth: 11,
+        maxWidth: 37,
+      },
+      inList: true,
+    },
+    used: {
+      property: 'used',
+      header: 'Used',
+      table: {
+        include: true,
+        minWidth: 10,
+        maxWidth: 10,
+      },
+      normalizer: function (trendItem) {
+        return Formatter.formatBytes(trendItem[this.property], 2);
+      },
+    },
+    growth: {
+      property: 'growth',
+      header: 'Growth',
+      table: {
+        include: true,
+        minWidth: 10,
+        maxWidth: 10,
+      },
+      normalizer: function (trendItem) {
+        return Formatter.formatBytes(trendItem[this.property], 2);
+      },
+    },
+    growthPerDay: {
+      property: 'growth_per_day',
+      header: 'Growth/Day',
+      table: {
+        include: true,
+        minWidth: 10,
+        maxWidth: 14,
+      },
+      normalizer: function (trendItem) {
+        return trendItem[this.property] === null ? 'n/a' : Formatter.formatBytes(Math.round(trendItem[this.property]), 2);
+      },
+    },
+    successRate: {
+      property: 'success_rate',
+      header: 'Success Rate',
+      table: {
+        include: true,
+        minWidth: 7,
+        maxWidth: 7,
+      },
+      normalizer: function (trendItem) {
+        return trendItem[this.property] === null ? 'n/a' : `${Math.round(trendItem[this.property] * 100)}%`;
+      },
+    },
+    snapshots: {
+      property: 'snapshots',
+      header: 'Snapshots',
+    },
+    backups: {
+      property: 'backups',
+      header: 'Backups',
+      table: {
+        include: true,
+        minWidth: 7,
+        maxWidth: 7,
+      },
+    },
+    averageDuration: {
+      property: 'average_duration',
+      header: 'Avg Duration',
+      table: {
+        include: true,
+        minWidth: 8,
+        maxWidth: 12,
+      },
+      normalizer: function (trendItem) {
+        return trendItem[this.property] === null ? 'n/a' : Formatter.formatDuration(Math.round(trendItem[this.property]));
+      },
+    },
+    averageSize: {
+      property: 'average_size',
+      header: 'Avg Size',
+      table: {
+        include: true,
+        minWidth: 10,
+        maxWidth: 10,
+      },
+      normalizer: function (trendItem) {
+        return trendItem[this.property] === null ? 'n/a' : Formatter.formatBytes(Math.round(trendItem[this.property]), 2);
+      },
+    },
+  },
+};
+
+/**
+ * Mappings of clients returned by the `stale-clients` and `unseen-clients` commands, extended with the thresholds applied to each client.
+ * Threshold values are copied to the elements by `addAppliedThresholds`.
+ */
+MAPS.thresholdClient = {
+  ...MAPS.client,
+  thresholdStaleFile: {
+    property: 'urbstat_threshold_stale_file',
+    header: 'File Threshold',
+    normalizer: function (clientItem) {
+      return typeof clientItem[this.property] === 'number' ? `${clientItem[this.property]} min` : 'n/a';
+    },
+  },
+  thresholdStaleImage: {
+    property: 'urbstat_threshold_stale_image',
+    header: 'Image Threshold',
+    normalizer: function (clientItem) {
+      return typeof clientItem[this.property] === 'number' ? `${clientItem[this.property]} min` : 'n/a';
+    },
+  },
+  thresholdUnseen: {
+    property: 'urbstat_threshold_unseen',
+    header: 'Unseen Threshold',
+    normalizer: function (clientItem) {
+      return typeof clientItem[this.property] === 'number' ? `${clientItem[this.property]} min` : 'n/a';
+    },
+  },
+  thresholdPolicy: {
+    property: 'urbstat_threshold_policy',
+    header: 'Threshold Policy',
+  },
+};
+
+/**
+ * Mappings of clients in the tables of the 'report' and 'notify' commands, extended with the health of each client used to colour-code rows.
+ * Health values are copied to the elements by `addClientHealth`.
+ */
+MAPS.healthClient = {
+  ...MAPS.client,
+  health: {
+    property: 'urbstat_health',
+    header: 'Health',
+  },
+};
+
+/**
+ * Mappings of usage aggregated by client group, sharing the usage and share columns with `MAPS.usage`. Elements are built by `aggregateUsageByGroup`.
+ */
+MAPS.usageGroup = {
+  groupName: {
+    property: 'urbstat_group',
+    header: 'Group Name',
+    table: {
+      include: true,
+      minWidth: 10,
+      maxWidth: 37,
+    },
+    inList: true,
+    normalizer: function (usageGroupItem) {
+      return usageGroupItem[this.property] === null ? 'n/a' : usageGroupItem[this.property];
+    },
+  },
+  clients: {
+    property: 'urbstat_clients',
+    header: 'Clients',
+    table: {
+      include: true,
+      minWidth: 7,
+      maxWidth: 7,
+    },
+  },
+  file: MAPS.usage.file,
+  image: MAPS.usage.image,
+  used: MAPS.usage.used,
+  filePercent: MAPS.usage.filePercent,
+  imagePercent: MAPS.usage.imagePercent,
+  usedPercent: { ...MAPS.usage.usedPercent, table: { ...MAPS.usage.usedPercent.table, include: true } },
+  server: MAPS.usage.server,
 };
 
 /**
  * Hard-coded settings used as a fallback when not found in the configuration file.
+ * Values are validated against `acceptedValues` (comma-separated lists for columns and channels settings), `range` (integers) or `format` ('url', 'locale', 'policies', 'fingerprints' or 'size').
+ * Empty values of `optional` settings are not validated.
  */
 const fallbackSettings = {
-  URBSTAT_ACTIVITIES_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw'] },
+  URBSTAT_ACTIVITIES_COLUMNS_CURRENT: { defaultValue: '', acceptedValues: Object.keys(MAPS.activityCurrent) },
+  URBSTAT_ACTIVITIES_COLUMNS_LAST: { defaultValue: '', acceptedValues: Object.keys(MAPS.activityLast) },
+  URBSTAT_ACTIVITIES_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw', 'json', 'ndjson', 'csv', 'tsv', 'html', 'markdown'] },
   URBSTAT_ACTIVITIES_SORT_CURRENT: { defaultValue: 'client', acceptedValues: ['client', 'eta', 'progress', 'size'] },
   URBSTAT_ACTIVITIES_SORT_LAST: { defaultValue: 'time', acceptedValues: ['client', 'time', 'duration', 'size'] },
-  URBSTAT_CLIENT_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'raw'] },
-  URBSTAT_CLIENTS_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw'] },
+  URBSTAT_BACKUPS_COLUMNS: { defaultValue: '', acceptedValues: Object.keys(MAPS.backupImage) },
+  URBSTAT_BACKUPS_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw', 'json', 'ndjson', 'csv', 'tsv', 'html', 'markdown'] },
+  URBSTAT_BACKUPS_SORT: { defaultValue: 'time', acceptedValues: ['time', 'size'] },
+  URBSTAT_CLIENT_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'raw', 'json', 'ndjson'] },
+  URBSTAT_CLIENTS_COLUMNS: { defaultValue: '', acceptedValues: Object.keys(MAPS.client) },
+  URBSTAT_CLIENTS_EXCLUDE_FILE: { defaultValue: '' },
+  URBSTAT_CLIENTS_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw', 'json', 'ndjson', 'csv', 'tsv', 'html', 'markdown'] },
   URBSTAT_CLIENTS_SORT: { defaultValue: 'name', acceptedValues: ['name', 'seen', 'file', 'image'] },
-  URBSTAT_CLIENTS_THRESHOLD_STALE: { defaultValue: 7200 },
-  URBSTAT_CLIENTS_THRESHOLD_UNSEEN: { defaultValue: 10080 },
+  URBSTAT_CLIENTS_THRESHOLD_STALE: { defaultValue: 7200, range: [0, Number.MAX_SAFE_INTEGER] },
+  URBSTAT_CLIENTS_THRESHOLD_UNSEEN: { defaultValue: 10080, range: [0, Number.MAX_SAFE_INTEGER] },
+  URBSTAT_DATA_DIR: { defaultValue: '' },
+  URBSTAT_GROUPS_COLUMNS: { defaultValue: '', acceptedValues: Object.keys(MAPS.group) },
   URBSTAT_GROUPS_SORT: { defaultValue: 'name', acceptedValues: ['name', 'id'] },
-  URBSTAT_GROUPS_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw'] },
-  URBSTAT_LOCALE: { defaultValue: 'en' },
+  URBSTAT_GROUPS_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw', 'json', 'ndjson', 'csv', 'tsv', 'html', 'markdown'] },
+  URBSTAT_LOCALE: { defaultValue: 'en', format: 'locale' },
+  URBSTAT_METRICS_CACHE_TTL: { defaultValue: 60, range: [0, Number.MAX_SAFE_INTEGER] },
+  URBSTAT_METRICS_HOSTNAME: { defaultValue: '127.0.0.1' },
+  URBSTAT_METRICS_PORT: { defaultValue: 9554, range: [1, 65535] },
+  URBSTAT_MONITOR_COLUMNS: { defaultValue: 'clientName,actionCode,progress,bytesDone,size,speedCurrent,eta', acceptedValues: Object.keys(MAPS.activityCurrent) },
+  URBSTAT_MONITOR_INTERVAL: { defaultValue: 5, range: [1, Number.MAX_SAFE_INTEGER] },
+  URBSTAT_MONITOR_STALL_THRESHOLD: { defaultValue: 60, range: [0, Number.MAX_SAFE_INTEGER] },
+  URBSTAT_NOTIFY_CHANNELS: { defaultValue: '', acceptedValues: ['email', 'webhook', 'slack', 'teams', 'matrix'] },
+  URBSTAT_NOTIFY_EMAIL_FROM: { defaultValue: 'urbstat@localhost' },
+  URBSTAT_NOTIFY_EMAIL_TO: { defaultValue: '' },
+  URBSTAT_NOTIFY_MATRIX_ROOM: { defaultValue: '' },
+  URBSTAT_NOTIFY_MATRIX_TOKEN: { defaultValue: '' },
+  URBSTAT_NOTIFY_MATRIX_URL: { defaultValue: '', format: 'url', optional: true },
+  URBSTAT_NOTIFY_MESSAGE: { defaultValue: '{title}: {count} on {server}, {time}\n\n{table}' },
+  URBSTAT_NOTIFY_SLACK_URL: { defaultValue: '', format: 'url', optional: true },
+  URBSTAT_NOTIFY_SMTP_HOST: { defaultValue: '' },
+  URBSTAT_NOTIFY_SMTP_PASSWORD: { defaultValue: '' },
+  URBSTAT_NOTIFY_SMTP_PORT: { defaultValue: 25, range: [1, 65535] },
+  URBSTAT_NOTIFY_SMTP_SECURITY: { defaultValue: 'starttls', acceptedValues: ['none', 'starttls', 'tls'] },
+  URBSTAT_NOTIFY_SMTP_USERNAME: { defaultValue: '' },
+  URBSTAT_NOTIFY_SUBJECT: { defaultValue: '[urbstat] {title}: {count}' },
+  URBSTAT_NOTIFY_TEAMS_URL: { defaultValue: '', format: 'url', optional: true },
+  URBSTAT_NOTIFY_WEBHOOK_URL: { defaultValue: '', format: 'url', optional: true },
+  URBSTAT_REPORT_FORMAT: { defaultValue: 'html', acceptedValues: ['html', 'markdown'] },
+  URBSTAT_REPORT_TITLE: { defaultValue: 'UrBackup Report' },
+  URBSTAT_SERVER_CA_FILE: { defaultValue: '' },
+  URBSTAT_SERVER_CERT_FINGERPRINT: { defaultValue: '', format: 'fingerprints' },
   URBSTAT_SERVER_PASSWORD: { defaultValue: '' },
-  URBSTAT_SERVER_URL: { defaultValue: 'http://127.0.0.1:55414' },
+  URBSTAT_SERVER_PASSWORD_COMMAND: { defaultValue: '' },
+  URBSTAT_SERVER_PASSWORD_FILE: { defaultValue: '' },
+  URBSTAT_SERVER_URL: { defaultValue: 'http://127.0.0.1:55414', format: 'url' },
   URBSTAT_SERVER_USERNAME: { defaultValue: 'admin' },
-  URBSTAT_USAGE_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw'] },
+  URBSTAT_SNAPSHOT_RETENTION: { defaultValue: 90, range: [0, Number.MAX_SAFE_INTEGER] },
+  URBSTAT_STORAGE_CAPACITY: { defaultValue: '', format: 'size' },
+  URBSTAT_SUMMARY_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'json'] },
+  URBSTAT_THRESHOLD_POLICIES: { defaultValue: '', format: 'policies' },
+  URBSTAT_TRENDS_COLUMNS: { defaultValue: '', acceptedValues: Object.keys(MAPS.trend) },
+  URBSTAT_TRENDS_DAYS: { defaultValue: 30, range: [1, Number.MAX_SAFE_INTEGER] },
+  URBSTAT_TRENDS_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw', 'json', 'ndjson', 'csv', 'tsv', 'html', 'markdown'] },
+  URBSTAT_TRENDS_SORT: { defaultValue: 'name', acceptedValues: ['name', 'used', 'growth', 'success'] },
+  URBSTAT_USAGE_COLUMNS: { defaultValue: '', acceptedValues: [...new Set([...Object.keys(MAPS.usage), ...Object.keys(MAPS.usageGroup)])] },
+  URBSTAT_USAGE_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw', 'json', 'ndjson', 'csv', 'tsv', 'html', 'markdown'] },
   URBSTAT_USAGE_SORT: { defaultValue: 'name', acceptedValues: ['name', 'file', 'image', 'total'] },
+  URBSTAT_USERS_COLUMNS: { defaultValue: '', acceptedValues: Object.keys(MAPS.user) },
   URBSTAT_USERS_SORT: { defaultValue: 'name', acceptedValues: ['name', 'id'] },
-  URBSTAT_USERS_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw'] },
+  URBSTAT_USERS_FORMAT: { defaultValue: 'table', acceptedValues: ['table', 'list', 'number', 'raw', 'json', 'ndjson', 'csv', 'tsv', 'html', 'markdown'] },
 };
 
 /**
- * Settings loaded from the configuration file.
+ * Masks the value of a setting holding a secret: passwords, tokens and webhook URLs of Slack, Microsoft Teams and the webhook channel, which embed credentials.
+ *
+ * @param {string} key - The setting key.
+ * @param {string} value - The setting value.
+ * @returns {string} The masked value, or the value itself if it is not a secret or is empty.
  */
-const settings = await load({ envPath: './urbstat.conf', export: false });
+const maskSecretSetting = function (key, value) {
+  return /_(PASSWORD|TOKEN)$|^URBSTAT_NOTIFY_(SLACK|TEAMS|WEBHOOK)_URL$/.test(key) && value.length > 0 ? '********' : value;
+};
 
 /**
- * Gets the settings value for the specified key.
- * If the key is recognized, it uses the value from the configuration file, falling back to the hard-coded default if not found there.
+ * Prints an error message and exits.
+ * In monitoring plugin mode, the message is printed as a plugin status line and the process exits with the UNKNOWN state.
  *
- * @param {string} key - The settings key.
- * @returns {*} The settings value, `null` if the key is not recognized.
+ * @param {string} message - The error message.
+ * @param {boolean} [isPluginMode=false] - A flag indicating whether to follow the monitoring plugin conventions.
  */
-const getSettings = (key) => {
-  if (key in fallbackSettings) {
-    return settings[key] ?? fallbackSettings[key].defaultValue;
+const exitWithError = function (message, isPluginMode = false) {
+  if (isPluginMode === true) {
+    // deno-lint-ignore no-console
+    console.log(`URBSTAT ${pluginStates.unknown.label} - ${message}`);
+    Deno.exit(pluginStates.unknown.exitCode);
   } else {
-    return null;
+    // deno-lint-ignore no-console
+    console.log(cliTheme.error(message));
+    Deno.exit(1);
   }
 };
 
 /**
- * The status response from the server.
+ * Gets the result of the 'check' command: the monitoring plugin state and the status line with performance data.
+ *
+ * @param {string} category - The category of checked clients, e.g. 'failed-clients'.
+ * @param {string[]} clientNames - The names of matching clients.
+ * @param {number} warningThreshold - The number of matching clients above which the state is WARNING.
+ * @param {number} criticalThreshold - The number of matching clients above which the state is CRITICAL.
+ * @returns {Object} The `state`, one of `pluginStates`, and the status `line`.
  */
-let statusResponse;
+const getCheckResult = function (category, clientNames, warningThreshold, criticalThreshold) {
+  let state = pluginStates.ok;
+  if (clientNames.length > criticalThreshold) {
+    state = pluginStates.critical;
+  } else if (clientNames.length > warningThreshold) {
+    state = pluginStates.warning;
+  }
 
-/**
- * The activities response from the server.
- */
-let activitiesResponse;
+  const summary = `${clientNames.length} ${category.replace('-clients', '')} clients${clientNames.length > 0 ? ': ' + clientNames.join(', ') : ''}`;
+  const performanceData = `${category.replace('-', '_')}=${clientNames.length};${warningThreshold};${criticalThreshold};0`;
 
-/**
- * The paused activities response from the server.
- */
-let pausedActivitiesResponse;
+  return { state: state, line: `URBSTAT ${state.label} - ${summary} | ${performanceData}` };
+};
 
 /**
- * The usage response from the server.
+ * Checks whether a permission is granted, without prompting for it.
+ *
+ * @param {Object} descriptor - The permission descriptor.
+ * @returns {boolean} `true` if the permission is granted.
  */
-let usageResponse;
+const isPermissionGranted = (descriptor) => Deno.permissions.querySync(descriptor).state === 'granted';
 
 /**
- * The all-clients response from the server.
+ * Gets the value of an environment variable, without prompting for the permission.
+ *
+ * @param {string} name - The name of the environment variable.
+ * @returns {string|undefined} The value, `undefined` if the variable is not set or access to it is not granted.
  */
-let allClientsResponse;
+const getEnvironmentVariable = (name) => isPermissionGranted({ name: 'env', variable: name }) ? Deno.env.get(name) : undefined;
 
 /**
- * The ok-clients response from the server.
+ * Gets the value of the `--config` option directly from the command-line arguments, as settings are needed before the arguments are parsed.
+ *
+ * @param {string[]} args - The command-line arguments.
+ * @returns {string|undefined} The path of the configuration file, `undefined` if the option is not present.
  */
-let okClientsResponse;
+const getConfigArgument = function (args) {
+  for (const [index, arg] of args.entries()) {
+    if (arg === '--') {
+      break;
+    } else if (arg === '--config') {
+      return args[index + 1] ?? '';
+    } else if (arg.startsWith('--config=')) {
+      return arg.slice('--config='.length);
+    }
+  }
 
-/**
- * The outdated-clients response from the server.
- */
-let outdatedClientsResponse;
+  return undefined;
+};
 
 /**
- * The failed-clients response from the server.
+ * Gets the locations searched for the configuration file, in order: the current working directory, `$XDG_CONFIG_HOME/urbstat`
+ * (`~/.config/urbstat` if not set), `/etc/urbstat` and the directory of the executable. The directory of the executable is searched only by the compiled binary,
+ * as it is the directory of `deno` otherwise.
+ *
+ * @returns {string[]} The paths of the configuration file.
  */
-let failedClientsResponse;
+const getConfigSearchPath = function () {
+  const configHome = getEnvironmentVariable('XDG_CONFIG_HOME') || (getEnvironmentVariable('HOME') ? `${getEnvironmentVariable('HOME')}/.config` : '');
+  const executableDirectory = Deno.execPath().replace(/[\\/][^\\/]*$/, '');
+
+  return [
+    './urbstat.conf',
+    ...(configHome.length > 0 ? [`${configHome}/urbstat/urbstat.conf`] : []),
+    '/etc/urbstat/urbstat.conf',
+    ...(Deno.build.standalone === true ? [`${executableDirectory}/urbstat.conf`] : []),
+  ];
+};
 
 /**
- * The stale-clients response from the server.
+ * Finds the configuration file. The file given by the `--config` option, or else by the `URBSTAT_CONFIG` environment variable, must exist.
+ * Otherwise the first file found in the search path is used. Locations without read permission are skipped with a warning, so that no permission prompt is shown.
+ *
+ * @returns {string|null} The path of the configuration file, `null` if none was found.
  */
-let staleClientsResponse;
+const findConfigFile = function () {
+  const isFile = (path) => {
+    try {
+      return Deno.statSync(path).isFile;
+    } catch {
+      return false;
+    }
+  };
+  const explicitPath = getConfigArgument(Deno.args) ?? (getEnvironmentVariable('URBSTAT_CONFIG') || undefined);
+
+  if (typeof explicitPath === 'string') {
+    if (!isFile(explicitPath)) {
+      exitWithError(`error: Cannot read configuration file "${explicitPath}"`);
+    }
+    return explicitPath;
+  }
+
+  for (const path of getConfigSearchPath()) {
+    if (!isPermissionGranted({ name: 'read', path: path })) {
+      // deno-lint-ignore no-console
+      console.error(cliTheme.warning(`warning: Skipping configuration file "${path}", read permission is not granted`));
+    } else if (isFile(path)) {
+      return path;
+    }
+  }
+
+  return null;
+};
 
 /**
- * The blank-clients response from the server.
+ * The key of a configuration file listing further configuration files to include.
  */
-let blankClientsResponse;
+const configIncludeKey = 'URBSTAT_CONFIG_INCLUDE';
 
 /**
- * The unseen-clients response from the server.
+ * Loads a configuration file along with the files it includes with the `URBSTAT_CONFIG_INCLUDE` key, a comma-separated list of paths.
+ * Included files are loaded first, in order, so that keys of the including file take precedence. Relative paths are resolved against the directory of the including file.
+ *
+ * @param {string} path - The path of the configuration file.
+ * @param {string[]} [includingPaths=[]] - The canonical paths of the files including this one, used to detect include cycles.
+ * @returns {Promise<Object>} The settings `values` and their `sources`, i.e. the path of the file each value comes from.
  */
-let unseenClientsResponse;
+const loadConfigFile = async function (path, includingPaths = []) {
+  let canonicalPath;
+  let fileValues;
+
+  try {
+    canonicalPath = await Deno.realPath(path);
+    if (!(await Deno.stat(canonicalPath)).isFile) {
+      throw new Error('not a file');
+    }
+    fileValues = await load({ envPath: canonicalPath, export: false });
+  } catch (error) {
+    exitWithError(`error: Cannot read configuration file "${path}": ${error.message}`);
+  }
+
+  if (includingPaths.includes(canonicalPath)) {
+    exitWithError(`error: Configuration file "${path}" includes itself`);
+  }
+
+  const { [configIncludeKey]: includeList = '', ...ownValues } = fileValues;
+  const directory = /[\\/]/.test(path) ? (path.replace(/[\\/][^\\/]*$/, '') || '/') : '.';
+  const includePaths = includeList.split(',').map((includePath) => includePath.trim()).filter((includePath) => includePath.length > 0)
+    .map((includePath) => (/^([\\/]|[A-Za-z]:[\\/])/.test(includePath) ? includePath : `${directory}/${includePath}`));
+  const includedFiles = await Promise.all(includePaths.map((includePath) => loadConfigFile(includePath, [...includingPaths, canonicalPath])));
+
+  return {
+    values: Object.assign({}, ...includedFiles.map((includedFile) => includedFile.values), ownValues),
+    sources: Object.assign({}, ...includedFiles.map((includedFile) => includedFile.sources), Object.fromEntries(Object.keys(ownValues).map((key) => [key, path]))),
+  };
+};
 
 /**
- * The removed-clients response from the server.
+ * The path of the configuration file in use, `null` if none was found.
  */
-let removedClientsResponse;
+const configPath = findConfigFile();
 
 /**
- * The online-clients response from the server.
+ * Settings loaded from the configuration file and the files it includes, along with their sources.
  */
-let onlineClientsResponse;
+const configFile = configPath === null ? { values: {}, sources: {} } : await loadConfigFile(configPath);
 
 /**
- * The offline-clients response from the server.
+ * Settings loaded from the configuration file and the files it includes.
  */
-let offlineClientsResponse;
+const fileSettings = configFile.values;
 
 /**
- * The active-clients response from the server.
+ * Settings overridden by environment variables named after the settings keys, e.g. `URBSTAT_SERVER_URL`.
  */
-let activeClientsResponse;
+const environmentSettings = Object.fromEntries(
+  Object.keys(fallbackSettings).map((key) => [key, getEnvironmentVariable(key)]).filter(([, value]) => typeof value === 'string'),
+);
 
 /**
- * The users response from the server.
+ * Effective settings. Environment variables take precedence over the configuration file.
  */
-let usersResponse;
+const settings = { ...fileSettings, ...environmentSettings };
 
 /**
- * The groups response from the server.
+ * Gets the settings value for the specified key.
+ * If the key is recognized, it uses the value from the configuration file, falling back to the hard-coded default if not found there.
+ * Values of integer settings are converted to numbers, invalid ones are reported by `validateSettings`.
+ *
+ * @param {string} key - The settings key.
+ * @returns {*} The settings value, `null` if the key is not recognized.
  */
-let groupsResponse;
+const getSettings = (key) => {
+  if (key in fallbackSettings) {
+    const value = settings[key] ?? fallbackSettings[key].defaultValue;
+    return Array.isArray(fallbackSettings[key].range) ? Number(value) : value;
+  } else {
+    return null;
+  }
+};
 
 /**
- * Make the required API calls to the UrBackup Server.
+ * Gets the source of the settings value for the specified key.
  *
- * @param {string[]} requiredCalls - The required API calls.
- * @param {Object} commandOptions - The command options.
- * @returns {Promise<void>}
+ * @param {string} key - The settings key.
+ * @returns {string} Either 'environment', the path of the configuration file or of an included file, or 'default'.
  */
-async function makeServerCalls(requiredCalls, commandOptions) {
-  const urlString = (typeof commandOptions?.url === 'string' && commandOptions.url.length > 0) ? commandOptions.url : getSettings('URBSTAT_SERVER_URL');
-  if (!URL.canParse(urlString)) {
-    // deno-lint-ignore no-console
-    console.log(cliTheme.error('error: Invalid URL'));
-    Deno.exit(1);
+const getSettingsSource = (key) => {
+  if (key in environmentSettings) {
+    return 'environment';
+  } else if (key in fileSettings) {
+    return configFile.sources[key];
+  } else {
+    return 'default';
   }
+};
 
-  const url = new URL(urlString);
-  const username = (typeof commandOptions?.user === 'string' && commandOptions.user.length > 0) ? commandOptions.user : getSettings('URBSTAT_SERVER_USERNAME');
-  const password = commandOptions?.askPass === true ? promptSecret('Enter password:') : getSettings('URBSTAT_SERVER_PASSWORD');
-
-  const server = new UrbackupServer({
-    url: url.href,
-    username: username,
-    password: password,
-  });
-
-  try {
-    statusResponse = requiredCalls.includes('status')
-      ? await server.getStatus({
-        clientId: typeof commandOptions?.id === 'number' ? commandOptions.id : undefined,
-        clientName: (typeof commandOptions?.name === 'string' && commandOptions.name.length > 0) ? commandOptions.name : undefined,
-        includeRemoved: true,
-      })
-      : null;
-
-    activitiesResponse = requiredCalls.includes('activities')
-      ? await server.getActivities({
-        clientId: typeof commandOptions?.clientId === 'number' ? commandOptions.clientId : undefined,
-        clientName: (typeof commandOptions?.name === 'string' && commandOptions.name.length > 0) ? commandOptions.name : undefined,
-        includeCurrent: true,
-        includeLast: true,
-        includePaused: commandOptions?.skipPaused !== true,
-      })
-      : null;
-
-    pausedActivitiesResponse = requiredCalls.includes('paused-activities')
-      ? await server.getPausedActivities({
-        clientId: typeof commandOptions?.clientId === 'number' ? commandOptions.clientId : undefined,
-        clientName: (typeof commandOptions?.name === 'string' && commandOptions.name.length > 0) ? commandOptions.name : undefined,
-      })
-      : null;
-
-    usageResponse = requiredCalls.includes('usage')
-      ? await server.getUsage({
-        clientName: (typeof commandOptions?.name === 'string' && commandOptions.name.length > 0) ? commandOptions.name : undefined,
-      })
-      : null;
-
-    allClientsResponse = requiredCalls.includes('all-clients')
-      ? await server.getClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: true,
-      })
-      : null;
-
-    okClientsResponse = requiredCalls.includes('ok-clients')
-      ? await server.getOkClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-        includeFileBackups: commandOptions?.skipFile !== true,
-        includeImageBackups: commandOptions?.skipImage !== true,
-        failOnFileIssues: commandOptions?.strict === true,
-      })
-      : null;
-
-    outdatedClientsResponse = requiredCalls.includes('outdated-clients')
-      ? await server.getOutdatedClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-      })
-      : null;
-
-    failedClientsResponse = requiredCalls.includes('failed-clients')
-      ? await server.getFailedClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-        includeBlank: commandOptions?.skipBlank !== true,
-        includeFileBackups: commandOptions?.skipFile !== true,
-        includeImageBackups: commandOptions?.skipImage !== true,
-        failOnFileIssues: commandOptions?.strict === true,
-      })
-      : null;
-
-    staleClientsResponse = requiredCalls.includes('stale-clients')
-      ? await server.getStaleClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-        includeBlank: commandOptions?.skipBlank !== true,
-        includeFileBackups: commandOptions?.skipFile !== true,
-        includeImageBackups: commandOptions?.skipImage !== true,
-        timeThreshold: (typeof commandOptions?.threshold === 'number' && commandOptions.threshold >= 0) ? commandOptions.threshold : 0,
-      })
-      : null;
-
-    blankClientsResponse = requiredCalls.includes('blank-clients')
-      ? await server.getBlankClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-        includeFileBackups: commandOptions?.skipFile !== true,
-        includeImageBackups: commandOptions?.skipImage !== true,
-      })
-      : null;
-
-    unseenClientsResponse = requiredCalls.includes('unseen-clients')
-      ? await server.getUnseenClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-        includeBlank: commandOptions?.skipBlank !== true,
-        timeThreshold: (typeof commandOptions?.threshold === 'number' && commandOptions.threshold >= 0) ? commandOptions.threshold : 0,
-      })
-      : null;
+/**
+ * Matches keys of profile settings, capturing the profile name and the connection setting.
+ */
+const profileKeyPattern = /^URBSTAT_PROFILE_(\w+?)_SERVER_(URL|USERNAME|PASSWORD|PASSWORD_FILE|PASSWORD_COMMAND|CA_FILE|CERT_FINGERPRINT)$/;
 
-    removedClientsResponse = requiredCalls.includes('removed-clients') ? await server.getRemovedClients() : null;
+/**
+ * Gets the password sources of the `URBSTAT_SERVER_*` settings.
+ * NOTE: Sources set by environment variables replace all sources of the configuration file, e.g. `URBSTAT_SERVER_PASSWORD` overrides `URBSTAT_SERVER_PASSWORD_FILE` from the file.
+ *
+ * @returns {Object} The `command`, `file` and `password` sources, empty strings mean not configured.
+ */
+const getPasswordSources = () => {
+  const keys = { command: 'URBSTAT_SERVER_PASSWORD_COMMAND', file: 'URBSTAT_SERVER_PASSWORD_FILE', password: 'URBSTAT_SERVER_PASSWORD' };
+  const isFromEnvironment = Object.values(keys).some((key) => key in environmentSettings);
 
-    onlineClientsResponse = requiredCalls.includes('online-clients')
-      ? await server.getOnlineClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-        includeBlank: commandOptions?.skipBlank !== true,
-      })
-      : null;
-
-    offlineClientsResponse = requiredCalls.includes('offline-clients')
-      ? await server.getOfflineClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-        includeBlank: commandOptions?.skipBlank !== true,
-      })
-      : null;
+  return Object.fromEntries(Object.entries(keys).map(([source, key]) => [source, String((isFromEnvironment ? environmentSettings[key] : getSettings(key)) ?? '')]));
+};
 
-    activeClientsResponse = requiredCalls.includes('active-clients')
-      ? await server.getActiveClients({
-        // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
-        groupName: commandOptions?.groupName === true ? '' : commandOptions?.groupName,
-        includeRemoved: false,
-      })
-      : null;
+/**
+ * Gets the server profiles defined in the configuration file, in the order of definition.
+ * A profile is defined by `URBSTAT_PROFILE_<NAME>_SERVER_URL`, `URBSTAT_PROFILE_<NAME>_SERVER_USERNAME` and `URBSTAT_PROFILE_<NAME>_SERVER_PASSWORD` settings,
+ * the password can also be read with `URBSTAT_PROFILE_<NAME>_SERVER_PASSWORD_FILE` or `URBSTAT_PROFILE_<NAME>_SERVER_PASSWORD_COMMAND`.
+ * TLS is configured with `URBSTAT_PROFILE_<NAME>_SERVER_CA_FILE` and `URBSTAT_PROFILE_<NAME>_SERVER_CERT_FINGERPRINT`.
+ * Profile names are case-insensitive. Connection details missing from a profile fall back to the `URBSTAT_SERVER_*` settings.
+ *
+ * @returns {Map<string, Object>} The connection details of profiles, keyed by lowercase profile name.
+ */
+const getProfiles = () => {
+  const profiles = new Map();
 
-    usersResponse = requiredCalls.includes('users') ? await server.getUsers({}) : null;
+  for (const key of Object.keys(settings)) {
+    const keyMatch = key.match(profileKeyPattern);
 
-    groupsResponse = requiredCalls.includes('groups') ? await server.getGroups({}) : null;
-  } catch (error) {
-    // deno-lint-ignore no-console
-    console.log(cliTheme.error(error.message));
-    Deno.exit(1);
+    if (keyMatch !== null) {
+      const prefix = `URBSTAT_PROFILE_${keyMatch[1]}_SERVER_`;
+      const hasPassword = [`${prefix}PASSWORD`, `${prefix}PASSWORD_FILE`, `${prefix}PASSWORD_COMMAND`].some((passwordKey) => passwordKey in settings);
+      profiles.set(keyMatch[1].toLowerCase(), {
+        url: settings[`${prefix}URL`] ?? getSettings('URBSTAT_SERVER_URL'),
+        username: settings[`${prefix}USERNAME`] ?? getSettings('URBSTAT_SERVER_USERNAME'),
+        passwordSources: hasPassword
+          ? { command: settings[`${prefix}PASSWORD_COMMAND`] ?? '', file: settings[`${prefix}PASSWORD_FILE`] ?? '', password: settings[`${prefix}PASSWORD`] ?? '' }
+          : getPasswordSources(),
+        caFile: settings[`${prefix}CA_FILE`] ?? getSettings('URBSTAT_SERVER_CA_FILE'),
+        certFingerprint: settings[`${prefix}CERT_FINGERPRINT`] ?? getSettings('URBSTAT_SERVER_CERT_FINGERPRINT'),
+      });
+    }
   }
-}
+
+  return profiles;
+};
 
 /**
- * Sorts an array of objects. This function modifies data in place.
- * NOTE: Sorting must be done before plucking.
+ * Validates the effective settings, including URLs of profiles.
  *
- * @param {Array} data - The array of data to sort.
- * @param {string} dataType - The type of data being processed.
- * @param {string} sortingOrder - The sorting order key.
- * @param {boolean} isReversed - A flag indicating whether to sort in reverse order.
+ * @returns {string[]} The problems found, each naming the key, the value and its source. Empty if settings are valid.
  */
-const sortElements = function (data, dataType, sortingOrder, isReversed) {
-  const sortMaps = {
-    client: {
-      name: MAPS.client.name.property,
-      seen: MAPS.client.lastSeen.property,
-      file: MAPS.client.lastFile.property,
-      image: MAPS.client.lastImage.property,
-    },
-    activityCurrent: {
-      client: MAPS.activityCurrent.clientName.property,
-      eta: MAPS.activityCurrent.eta.property,
-      progress: MAPS.activityCurrent.progress.property,
-      size: MAPS.activityCurrent.size.property,
-    },
-    activityLast: {
-      client: MAPS.activityLast.clientName.property,
-      size: MAPS.activityLast.size.property,
-      time: MAPS.activityLast.startingTime.property,
-      duration: MAPS.activityLast.duration.property,
-    },
-    usage: {
-      name: MAPS.usage.clientName.property,
-      file: MAPS.usage.file.property,
-      image: MAPS.usage.image.property,
-      total: MAPS.usage.used.property,
-    },
-    user: {
-      name: MAPS.user.name.property,
-      id: MAPS.user.id.property,
-    },
-    group: {
-      name: MAPS.group.name.property,
-      id: MAPS.group.id.property,
-    },
-  };
+const validateSettings = function () {
+  const problems = [];
+  const addProblem = (key, value, description) => problems.push(`${key}="${maskSecretSetting(key, value)}" (${getSettingsSource(key)}): ${description}`);
+  const isValidUrl = (value) => URL.canParse(value) && ['http:', 'https:'].includes(new URL(value).protocol);
+  const isValidFingerprints = (value) => parseFingerprints(value).every((fingerprint) => /^[0-9A-F]{64}$/.test(fingerprint));
 
-  const sortingProperty = sortMaps[dataType][sortingOrder];
+  for (const [key, descriptor] of Object.entries(fallbackSettings)) {
+    const value = String(settings[key] ?? descriptor.defaultValue);
 
-  if (typeof sortingProperty === 'undefined') {
-    return;
-  }
+    if (descriptor.optional === true && value.length === 0) {
+      continue;
+    }
 
-  data.sort((a, b) => {
-    const valueA = a[sortingProperty];
-    const valueB = b[sortingProperty];
+    if (Array.isArray(descriptor.acceptedValues)) {
+      // NOTE: Columns and channels settings hold comma-separated lists
+      const values = (key.includes('_COLUMNS') || key.endsWith('_CHANNELS')) ? value.split(',').map((element) => element.trim()).filter((element) => element.length > 0) : [value];
+      const invalidValues = values.filter((element) => !descriptor.acceptedValues.includes(element));
+      if (invalidValues.length > 0) {
+        addProblem(key, value, `invalid value "${invalidValues.join('", "')}", accepted values are: ${descriptor.acceptedValues.join(', ')}`);
+      }
+    }
 
-    if (typeof valueA === 'string' && typeof valueB === 'string') {
-      return valueA.localeCompare(valueB, getSettings('URBSTAT_LOCALE'), { sensitivity: 'base' });
-    } else if (typeof valueA === 'number' && typeof valueB === 'number') {
-      return valueA - valueB;
+    if (Array.isArray(descriptor.range)) {
+      const [minimum, maximum] = descriptor.range;
+      if (!/^\s*\d+\s*$/.test(value) || Number(value) < minimum || Number(value) > maximum) {
+        addProblem(key, value, maximum === Number.MAX_SAFE_INTEGER ? `expected an integer of at least ${minimum}` : `expected an integer from ${minimum} to ${maximum}`);
+      }
     }
-  });
 
-  if (isReversed === true) {
-    data.reverse();
+    if (descriptor.format === 'url' && !isValidUrl(value)) {
+      addProblem(key, value, 'expected an HTTP or HTTPS URL');
+    } else if (descriptor.format === 'locale') {
+      try {
+        if (Intl.DateTimeFormat.supportedLocalesOf(value).length === 0) {
+          addProblem(key, value, 'locale is not supported');
+        }
+      } catch {
+        addProblem(key, value, 'expected a locale tag, e.g. "en" or "de-DE"');
+      }
+    } else if (descriptor.format === 'policies') {
+      try {
+        parseThresholdPolicies(value);
+      } catch (error) {
+        addProblem(key, value, error.message.replace(/^error: /, ''));
+      }
+    } else if (descriptor.format === 'fingerprints' && !isValidFingerprints(value)) {
+      addProblem(key, value, 'expected comma-separated SHA-256 fingerprints, 64 hexadecimal digits each, optionally separated by colons');
+    } else if (descriptor.format === 'size' && value.trim().length > 0 && Number.isNaN(parseSize(value))) {
+      addProblem(key, value, 'expected a size in bytes, optionally with a unit, e.g. "500GB" or "4 TB"');
+    }
   }
-};
 
-/**
- * Plucks a specific property from each element in an array of objects. This function modifies data in place.
- * NOTE: Plucking must be done after sorting.
- *
- * @param {Array} data - The array data to pluck properties from.
- * @param {string} dataType - The type of data being processed.
- * @param {string} outputFormat - The output format.
- */
-const pluckProperties = function (data, dataType, outputFormat) {
-  const descriptorIndex = Object.values(MAPS[dataType]).findIndex((descriptor) => {
-    switch (outputFormat) {
-      case 'list':
-        return descriptor?.inList === true;
-        // break;
-      default:
-        break;
+  for (const key of Object.keys(settings).filter((key) => /^URBSTAT_PROFILE_\w+?_SERVER_URL$/.test(key))) {
+    if (!isValidUrl(settings[key])) {
+      addProblem(key, settings[key], 'expected an HTTP or HTTPS URL');
     }
-  });
-  const targetProperty = descriptorIndex >= 0 ? Object.values(MAPS[dataType])[descriptorIndex].property : undefined;
+  }
 
-  data.forEach((element, index) => {
-    data[index] = element[targetProperty];
-  });
+  for (const key of Object.keys(settings).filter((key) => /^URBSTAT_PROFILE_\w+?_SERVER_CERT_FINGERPRINT$/.test(key))) {
+    if (!isValidFingerprints(settings[key])) {
+      addProblem(key, settings[key], 'expected comma-separated SHA-256 fingerprints, 64 hexadecimal digits each, optionally separated by colons');
+    }
+  }
+
+  return problems;
 };
 
 /**
- * Transforms data by sorting, limiting, and plucking it. This function modifies data in place.
+ * Exits with an error listing every problem if the effective settings are invalid.
  *
- * @param {Array} data - The array of data to be processed.
- * @param {string} dataType - The type of data being processed.
- * @param {object} commandOptions - The options for the command.
+ * @param {boolean} [isPluginMode=false] - A flag indicating whether errors should be reported following the monitoring plugin conventions.
  */
-const transformData = function (data, dataType, commandOptions) {
-  if (commandOptions?.format !== 'number') {
-    sortElements(data, dataType, commandOptions?.sort, commandOptions?.reverse);
-    data.splice(commandOptions?.max > 0 ? commandOptions.max : data.length);
+const assertValidSettings = function (isPluginMode = false) {
+  const problems = validateSettings();
 
-    if (commandOptions?.format === 'list') {
-      pluckProperties(data, dataType, commandOptions?.format);
-    }
+  if (problems.length > 0) {
+    exitWithError(`error: Invalid settings:\n${problems.map((problem) => `  ${problem}`).join('\n')}`, isPluginMode);
   }
 };
 
 /**
- * Prints data to the console based on the specified format.
+ * Gets the keys of the configuration file that are neither settings nor profile settings.
  *
- * @param {Array} data - The data to print.
- * @param {string} dataType - The type of data being processed.
- * @param {string} outputFormat - The output format.
+ * @returns {string[]} The unknown keys.
  */
-const printData = function (data, dataType, outputFormat) {
-  switch (outputFormat) {
-    case 'list': // NOTE: falls through
-    case 'raw':
-      // deno-lint-ignore no-console
-      console.log(data);
-      break;
-    case 'number':
-      // deno-lint-ignore no-console
-      console.log(data.length);
-      break;
-    case 'table':
-      if (data.length > 0) {
-        const table = new Table().padding(1).border(true);
-        const header = [];
-
-        for (const [elementIndex, element] of data.entries()) {
-          const normalizedElement = {};
-          let columnIndex = 0;
-
-          for (const [_key, value] of Object.entries(MAPS[dataType])) {
-            if (value?.table?.include === true) {
-              if (elementIndex === 0) {
-                header.push(value?.header ?? '');
-                if (value.table?.minWidth > 0) {
-                  table.column(columnIndex, { minWidth: value.table.minWidth });
-                }
-                if (value.table?.maxWidth) {
-                  table.column(columnIndex, { maxWidth: value.table.maxWidth });
-                }
-                columnIndex += 1;
-              }
-
-              normalizedElement[value.property] = typeof value?.normalizer === 'function' ? value.normalizer(element) : element[value.property];
-            }
-          }
+const getUnknownSettingsKeys = () => Object.keys(fileSettings).filter((key) => !(key in fallbackSettings) && !profileKeyPattern.test(key));
 
-          if (Object.keys(normalizedElement).length > 0) {
-            table.push(Object.values(normalizedElement));
-          }
-        }
-
-        table.header(header);
-        table.render();
-      }
-      break;
-    default:
-      break;
-  }
-};
+/**
+ * The status response from the server.
+ */
+let statusResponse;
 
 /**
- * Main command.
+ * The activities response from the server.
  */
-const cli = await new Command()
-  .name('urbstat')
-  .version('0.18.2')
-  .description('The Missing Command-line Tool for UrBackup Server.\nDefault options, such as server address and password, are set in the `urbstat.conf` configuration file.')
-  .example('Get failed clients (uses password from configuration file)', 'urbstat failed-clients')
-  .example('Get failed clients (prompts for password)', 'urbstat failed-clients --ask-pass')
-  .example('Get options and detailed help for a specific command', 'urbstat failed-clients --help')
-  .globalType('activitiesFormatValues', new EnumType(fallbackSettings.URBSTAT_ACTIVITIES_FORMAT.acceptedValues))
-  .globalType('clientFormatValues', new EnumType(fallbackSettings.URBSTAT_CLIENT_FORMAT.acceptedValues))
-  .globalType('clientsFormatValues', new EnumType(fallbackSettings.URBSTAT_CLIENTS_FORMAT.acceptedValues))
-  .globalType('clientsSortValues', new EnumType(fallbackSettings.URBSTAT_CLIENTS_SORT.acceptedValues))
-  .globalType('currentActivitiesSortValues', new EnumType(fallbackSettings.URBSTAT_ACTIVITIES_SORT_CURRENT.acceptedValues))
-  .globalType('groupsFormatValues', new EnumType(fallbackSettings.URBSTAT_GROUPS_FORMAT.acceptedValues))
-  .globalType('groupsSortValues', new EnumType(fallbackSettings.URBSTAT_GROUPS_SORT.acceptedValues))
-  .globalType('lastActivitiesSortValues', new EnumType(fallbackSettings.URBSTAT_ACTIVITIES_SORT_LAST.acceptedValues))
-  .globalType('usageFormatValues', new EnumType(fallbackSettings.URBSTAT_USAGE_FORMAT.acceptedValues))
-  .globalType('usageSortValues', new EnumType(fallbackSettings.URBSTAT_USAGE_SORT.acceptedValues))
-  .globalType('usersFormatValues', new EnumType(fallbackSettings.URBSTAT_USERS_FORMAT.acceptedValues))
-  .globalType('usersSortValues', new EnumType(fallbackSettings.URBSTAT_USERS_SORT.acceptedValues))
-  .globalOption('--url <url:string>', 'Server URL.')
-  .globalOption('--user <name:string>', 'User name.')
-  .globalOption('--ask-pass', 'Ask for connection password.')
-  .action(() => {
-    cli.showHelp();
-    Deno.exit(0);
-  });
+let activitiesResponse;
 
 /**
- * Get raw response of 'status' API call. Matches all clients, including those marked for removal.
- * Required rights: `status(all)`.
- * Raw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.
+ * The paused activities response from the server.
  */
-cli.command(
-  'raw-status',
-  "Gets the raw JSON response of the 'status' API call. Matches all clients, including those marked for removal.\nRequired rights: `status(all)`.\nRaw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.",
-)
-  .example('Get the raw status response', 'raw-status')
-  .action((commandOptions) => {
-    makeServerCalls(['status'], commandOptions).then(() => {
-      printData(statusResponse, '', 'raw');
-    });
-  });
+let pausedActivitiesResponse;
 
 /**
- * Get raw response of 'activities' API call. Matches all clients, including those marked for removal.
- * Required rights: `progress(all)`, `lastacts(all)`.
- * Raw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.
+ * The usage response from the server.
  */
-cli.command(
-  'raw-activities',
-  "Gets the raw JSON response of the 'activities' API call. Matches all clients, including those marked for removal.\nRequired rights: `progress(all)`, `lastacts(all)`.\nRaw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.",
-)
-  .example('Get the raw activities response', 'raw-activities')
-  .action((commandOptions) => {
-    makeServerCalls(['activities'], commandOptions).then(() => {
-      printData(activitiesResponse, '', 'raw');
-    });
-  });
+let usageResponse;
 
 /**
- * Get raw response of 'usage' API call. Matches all clients, including those marked for removal.
- * Required rights: `piegraph(all)`.
- * Raw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.
+ * The all-clients response from the server.
  */
-cli.command(
-  'raw-usage',
-  "Gets the raw JSON response of the 'usage' API cal. Matches all clients, including those marked for removal.\nRequired rights: `piegraph(all)`.\nRaw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.",
-)
-  .example('Get the raw usage response', 'raw-usage')
-  .action((commandOptions) => {
-    makeServerCalls(['usage', commandOptions]).then(() => {
-      printData(usageResponse, '', 'raw');
-    });
-  });
+let allClientsResponse;
 
 /**
- * Retrieves all clients, including those marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`."
+ * The ok-clients response from the server.
  */
-cli.command(
-  'all-clients',
-  "Retrieves all clients, including those marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get all clients (uses default options)', 'all-clients')
-  .example('Get the total count of all clients', 'all-clients --format "number"')
-  .example('Get all clients as a table, sorted by last file backup time', 'all-clients --format "table" --sort "file"')
-  .example('Get all clients as a list, sorted by name in reverse order', 'all-clients --format "list" --sort "name" --reverse')
-  .example('Get names of the 3 longest-unseen clients', 'all-clients --format "list" --sort "seen" --max 3')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['all-clients'], commandOptions).then(() => {
-      transformData(allClientsResponse, 'client', commandOptions);
-      printData(allClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let okClientsResponse;
 
 /**
- * Retrieves clients with an 'OK' backup status. File backups finished with issues are treated as OK by default. Excludes clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.
+ * The outdated-clients response from the server.
  */
-cli
-  .command(
-    'ok-clients',
-    "Retrieves clients with an 'OK' backup status. File backups finished with issues are treated as OK by default. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-  )
-  .example('Get OK clients (uses default options)', 'ok-clients')
-  .example('Get the total count of OK clients', 'ok-clients --format "number"')
-  .example('Get OK clients as a table, sorted by last file backup time', 'ok-clients --format "table" --sort "file"')
-  .example('Get OK clients as a table, sorted by last image backup time, ignoring file backup status', 'ok-clients --format "table" --sort "image" --skip-file')
-  .example('Get OK clients as a list, sorted by name in reverse order', 'ok-clients --format "list" --sort "name" --reverse')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
-  .option('--skip-image', 'Skip image backups when matching clients.')
-  .option('--strict', 'Do not treat backups finished with issues as being OK.')
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['ok-clients'], commandOptions).then(() => {
-      transformData(okClientsResponse, 'client', commandOptions);
-      printData(okClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let outdatedClientsResponse;
 
 /**
- * Retrieves clients running an outdated version of the UrBackup client software. Excludes clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.
+ * The failed-clients response from the server.
  */
-cli.command(
-  'outdated-clients',
-  "Retrieves clients running an outdated version of the UrBackup client software. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get outdated clients (uses default options)', 'outdated-clients')
-  .example('Get the total count of outdated clients', 'outdated-clients --format "number"')
-  .example('Get outdated clients as a table, sorted by name', 'outdated-clients --format "table" --sort "name"')
-  .example('Get outdated clients as a list, sorted by name in reverse order', 'outdated-clients --format "list" --sort "name" --reverse')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['outdated-clients'], commandOptions).then(() => {
-      transformData(outdatedClientsResponse, 'client', commandOptions);
-      printData(outdatedClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let failedClientsResponse;
 
 /**
- * Retrieves clients with a 'failed' backup status or those without a recent backup (as per UrBackup Server settings). File backups finished with issues are treated as OK by default. Excludes clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.
+ * The stale-clients response from the server.
  */
-cli.command(
-  'failed-clients',
-  "Retrieves clients with a 'failed' backup status or those without a recent backup (as per UrBackup Server settings). File backups finished with issues are treated as OK by default. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get failed clients (uses default options)', 'failed-clients')
-  .example('Get the total count of failed clients', 'failed-clients --format "number"')
-  .example('Get failed clients as a table, sorted by last file backup time', 'failed-clients --format "table" --sort "file"')
-  .example('Get failed clients as a table, sorted by last image backup time, ignoring file backup status', 'failed-clients --format "table" --sort "image" --skip-file')
-  .example('Get failed clients as a list, sorted by name in reverse order', 'failed-clients --format "list" --sort "name" --reverse')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
-  .option('--skip-image', 'Skip image backups when matching clients.')
-  .option('--skip-blank', 'Skip blank clients.')
-  .option('--strict', 'Do not treat backups finished with issues as being OK.')
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['failed-clients'], commandOptions).then(() => {
-      transformData(failedClientsResponse, 'client', commandOptions);
-      printData(failedClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let staleClientsResponse;
 
 /**
- * Retrieves 'stale' clients, i.e., clients without a recent backup according to the `urbstat` configured threshold. Excludes clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`, `URBSTAT_CLIENTS_THRESHOLD_STALE`.
+ * The blank-clients response from the server.
  */
-cli.command(
-  'stale-clients',
-  "Retrieves 'stale' clients, i.e., clients without a recent backup according to the `urbstat` configured threshold. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`, `URBSTAT_CLIENTS_THRESHOLD_STALE`.",
-)
-  .example('Get stale clients (uses default options)', 'stale-clients')
-  .example('Get the total count of stale clients', 'stale-clients --format "number"')
-  .example('Get stale clients as a table, sorted by name', 'stale-clients --format "table" --sort "name"')
-  .example('Get stale clients as a table, sorted by name, excluding blank clients', 'stale-clients --format "table" --sort "name" --skip-blank')
-  .example('Get stale clients as a table, sorted by last image backup time, considering only image backups', 'stale-clients --format "table" --sort "image" --skip-file')
-  .example('Get stale clients as a list, sorted by name in reverse order', 'stale-clients --format "list" --sort "name" --reverse')
-  .example('Get clients whose last file backup is older than 1 day (1440 minutes)', 'stale-clients --format "table" --sort "name" --threshold 1440 --skip-image')
-  .example('Get count of clients whose last image backup is older than 12 hours (720 minutes)', 'stale-clients --format "number" --threshold 720 --skip-file')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--threshold <minutes:integer>', 'Set time threshold in minutes.', { default: getSettings('URBSTAT_CLIENTS_THRESHOLD_STALE') })
-  .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
-  .option('--skip-image', 'Skip image backups when matching clients.')
-  .option('--skip-blank', 'Skip blank clients.')
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['stale-clients'], commandOptions).then(() => {
-      transformData(staleClientsResponse, 'client', commandOptions);
-      printData(staleClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let blankClientsResponse;
 
 /**
- * Retrieves 'blank' clients, i.e., clients that have no completed backups. Excludes clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.
+ * The unseen-clients response from the server.
  */
-cli.command(
-  'blank-clients',
-  "Retrieves 'blank' clients, i.e., clients that have no completed backups. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get blank clients (uses default options)', 'blank-clients')
-  .example('Get the total count of blank clients', 'blank-clients --format "number"')
-  .example('Get blank clients as a table, sorted by last seen time', 'blank-clients --format "table" --sort "seen"')
-  .example('Get blank clients as a table, sorted by name, considering only file backups', 'blank-clients --format "table" --sort "name" --skip-image')
-  .example('Get blank clients as a list, sorted by name in reverse order', 'blank-clients --format "list" --sort "name" --reverse')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
-  .option('--skip-image', 'Skip image backups when matching clients.')
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['blank-clients'], commandOptions).then(() => {
-      transformData(blankClientsResponse, 'client', commandOptions);
-      printData(blankClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let unseenClientsResponse;
 
 /**
- * Retrieves 'unseen' clients, i.e., clients not seen by the server for a duration exceeding the `urbstat` configured threshold. Excludes clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`.
+ * The removed-clients response from the server.
  */
-cli
-  .command(
-    'unseen-clients',
-    "Retrieves 'unseen' clients, i.e., clients not seen by the server for a duration exceeding the `urbstat` configured threshold. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`.",
-  )
-  .example('Get unseen clients (uses default options)', 'unseen-clients')
-  .example('Get the total count of unseen clients', 'unseen-clients --format "number"')
-  .example('Get unseen clients as a table, sorted by name', 'unseen-clients --format "table" --sort "name"')
-  .example('Get unseen clients as a table, sorted by last seen time, excluding blank clients', 'unseen-clients --format "table" --sort "seen" --skip-blank')
-  .example('Get unseen clients as a list, sorted by name in reverse order', 'unseen-clients --format "list" --sort "name" --reverse')
-  .example('Get clients not seen for more than 2 days (2880 minutes)', 'unseen-clients --format "table" --sort "name" --threshold 2880')
-  .example('Get count of clients not seen for more than 12 hours (720 minutes)', 'unseen-clients --format "number" --threshold 720')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--threshold <minutes:integer>', 'Set time threshold in minutes.', { default: getSettings('URBSTAT_CLIENTS_THRESHOLD_UNSEEN') })
-  .option('--skip-blank', 'Skip blank clients.')
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['unseen-clients'], commandOptions).then(() => {
-      transformData(unseenClientsResponse, 'client', commandOptions);
-      printData(unseenClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let removedClientsResponse;
 
 /**
- * Retrieves clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.
+ * The online-clients response from the server.
  */
-cli.command(
-  'removed-clients',
-  "Retrieves clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get clients marked for removal (uses default options)', 'removed-clients')
-  .example('Get the total count of clients marked for removal', 'removed-clients --format "number"')
-  .example('Get clients marked for removal as a table, sorted by name', 'removed-clients --format "table" --sort "name"')
-  .example('Get clients marked for removal as a list, sorted by name in reverse order', 'removed-clients --format "list" --sort "name" --reverse')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['removed-clients'], commandOptions).then(() => {
-      transformData(removedClientsResponse, 'client', commandOptions);
-      printData(removedClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let onlineClientsResponse;
 
 /**
- * Retrieves online clients. Excludes clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.
+ * The offline-clients response from the server.
  */
-cli.command(
-  'online-clients',
-  "Retrieves online clients. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get online clients (uses default options)', 'online-clients')
-  .example('Get the total count of online clients', 'online-clients --format "number"')
-  .example('Get online clients as a table, sorted by name', 'online-clients --format "table" --sort "name"')
-  .example('Get online clients as a table, sorted by name, excluding blank clients', 'online-clients --format "table" --sort "name" --skip-blank')
-  .example('Get online clients as a list, sorted by name in reverse order', 'online-clients --format "list" --sort "name" --reverse')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--skip-blank', 'Skip blank clients.')
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['online-clients'], commandOptions).then(() => {
-      transformData(onlineClientsResponse, 'client', commandOptions);
-      printData(onlineClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let offlineClientsResponse;
 
 /**
- * Retrieves offline clients. Excludes clients marked for removal.
- * Required rights: `status(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.
+ * The active-clients response from the server.
  */
-cli.command(
-  'offline-clients',
-  "Retrieves offline clients. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get offline clients (uses default options)', 'offline-clients')
-  .example('Get the total count of offline clients', 'offline-clients --format "number"')
-  .example('Get offline clients as a table, sorted by name', 'offline-clients --format "table" --sort "name"')
-  .example('Get offline clients as a table, sorted by name, excluding blank clients', 'offline-clients --format "table" --sort "name" --skip-blank')
-  .example('Get offline clients as a list, sorted by name in reverse order', 'offline-clients --format "list" --sort "name" --reverse')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--skip-blank', 'Skip blank clients.')
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['offline-clients'], commandOptions).then(() => {
-      transformData(offlineClientsResponse, 'client', commandOptions);
-      printData(offlineClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+let activeClientsResponse;
 
 /**
- * Retrieves currently active clients. Excludes clients marked for removal.
- * Required rights: `status(all)`
- * nIf the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`
- .*/
-cli.command(
-  'active-clients',
-  "Retrieves currently active clients. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get currently active clients (uses default options)', 'active-clients')
-  .example('Get the total count of currently active clients', 'active-clients --format "number"')
-  .example('Get currently active clients as a table, sorted by name', 'active-clients --format "table" --sort "name"')
-  .example('Get currently active clients as a list, sorted by name in reverse order', 'active-clients --format "list" --sort "name" --reverse')
-  .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
-  .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
-  .action((commandOptions) => {
-    makeServerCalls(['active-clients'], commandOptions).then(() => {
-      transformData(activeClientsResponse, 'client', commandOptions);
-      printData(activeClientsResponse, 'client', commandOptions?.format);
-    });
-  });
+ * The users response from the server.
+ */
+let usersResponse;
 
 /**
- * Retrieves current activities.
- * Required rights: `progress(all)`, `lastacts(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_LOCALE`.
+ * The groups response from the server.
  */
-cli.command(
-  'current-activities',
-  "Retrieves current activities.\nRequired rights: `progress(all)`, `lastacts(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_LOCALE`.",
-)
-  .example('Get current activities (uses default options)', 'current-activities')
-  .example('Get the total count of current activities', 'current-activities --format "number"')
-  .example('Get current activities as a table, sorted by progress', 'current-activities --format "table" --sort "progress"')
-  .example('Get current activities as a table, sorted by progress, excluding paused activities', 'current-activities --format "table" --sort "progress" --skip-paused')
-  .example('Get the 3 current activities with the longest ETA, sorted descending', 'current-activities --format "table" --sort "eta" --max 3 --reverse')
-  .example("Get current activities for client 'office', sorted by ETA", 'current-activities --format "table" --sort "eta" --client-name "office"')
-  .option('--format <format:activitiesFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_ACTIVITIES_FORMAT') })
-  .option('--sort <field:currentActivitiesSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_ACTIVITIES_SORT_CURRENT') })
-  .option('--reverse', 'Reverse the sorting order. ')
-  .option('--max <number:integer>', 'Show only <number> of activities, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--skip-paused', 'Skip paused activities.')
-  .option('--client-name <name:string>', 'Limit activities to specified client only.')
-  .option('--client-id <ID:integer>', 'Limit activities to specified client only.', { conflicts: ['client-name'] })
-  .action((commandOptions) => {
-    makeServerCalls(['activities'], commandOptions).then(() => {
-      transformData(activitiesResponse.current, 'activityCurrent', commandOptions);
-      printData(activitiesResponse.current, 'activityCurrent', commandOptions?.format);
-    });
-  });
+let groupsResponse;
 
 /**
- * Retrieves recently completed activities.
- * Required rights: `progress(all)`, `lastacts(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_LAST`, `URBSTAT_LOCALE`.
+ * The backups response from the server.
  */
-cli.command(
-  'last-activities',
-  "Retrieves recently completed activities.\nRequired rights: `progress(all)`, `lastacts(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_LAST`, `URBSTAT_LOCALE`.",
-)
-  .example('Get last activities (uses default options)', 'last-activities')
-  .example('Get the total count of last activities', 'last-activities --format "number"')
-  .example('Get last activities as a table, sorted by start time', 'last-activities --format "table" --sort "time"')
-  .example('Get the 3 last activities with the largest size, sorted descending', 'last-activities --format "table" --sort "size" --max 3 --reverse')
-  .example('Get the 3 last activities with the longest duration, sorted descending', 'last-activities --format "table" --sort "duration" --max 3 --reverse')
-  .example("Get last activities for client 'office', sorted by start time", 'last-activities --format "table" --sort "time" --client-name "office"')
-  .option('--format <format:activitiesFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_ACTIVITIES_FORMAT') })
-  .option('--sort <field:lastActivitiesSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_ACTIVITIES_SORT_LAST') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of activities, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+let backupsResponse;
+
+/**
+ * The stale and unseen thresholds applied to clients by the last fetch, keyed by the client element.
+ */
+let appliedThresholds = new Map();
+
+/**
+ * The names of profiles merged by the last fetch, empty if a single server was queried.
+ */
+let mergedProfiles = [];
+
+/**
+ * Parses certificate fingerprints.
+ *
+ * @param {string} text - The fingerprints, separated by commas. Hexadecimal digits can be separated by colons.
+ * @returns {string[]} The fingerprints, uppercase hexadecimal digits without separators.
+ */
+const parseFingerprints = function (text) {
+  return String(text ?? '').split(',').map((fingerprint) => fingerprint.replace(/[\s:]/g, '').toUpperCase()).filter((fingerprint) => fingerprint.length > 0);
+};
+
+/**
+ * HTTPS agents of servers with a CA file or pinned certificate fingerprints, keyed by URL origin. Set by `buildServer` and used by `fetchWithAgent`.
+ */
+const serverAgents = new Map();
+
+/**
+ * The native `fetch`. Requests of `urbstat` itself, e.g. to webhooks, use it directly and are not affected by `fetchWithAgent`.
+ */
+const nativeFetch = globalThis.fetch;
+
+/**
+ * The number of server calls in progress that route requests through `fetchWithAgent`, see `callWithTls`.
+ */
+let agentCallCount = 0;
+
+/**
+ * Creates an HTTPS agent that trusts the CA certificates in addition to the system ones and requires the server certificate to match one of the pinned fingerprints.
+ * The fingerprint is checked on the connection that carries the requests, after the certificate chain and the host name have been verified.
+ *
+ * @param {string[]} caCertificates - The PEM-encoded CA certificates, empty to trust the system ones only.
+ * @param {string[]} fingerprints - The pinned fingerprints, uppercase hexadecimal digits without separators, empty to skip pinning.
+ * @returns {https.Agent} The agent.
+ */
+const createServerAgent = function (caCertificates, fingerprints) {
+  return new https.Agent({
+    ca: caCertificates.length > 0 ? [...tls.rootCertificates, ...caCertificates] : undefined,
+    checkServerIdentity: (host, certificate) => {
+      const identityError = tls.checkServerIdentity(host, certificate);
+      const fingerprint = parseFingerprints(certificate?.fingerprint256)[0] ?? '';
+
+      if (typeof identityError === 'undefined' && fingerprints.length > 0 && !fingerprints.includes(fingerprint)) {
+        return new Error(`the certificate does not match the pinned fingerprint, presented SHA-256 fingerprint: ${fingerprint}`);
+      }
+
+      return identityError;
+    },
+  });
+};
+
+/**
+ * Describes a failed TLS handshake, naming the actual certificate problem.
+ *
+ * @param {Error} error - The error thrown by a call of the API client.
+ * @param {URL} url - The server URL.
+ * @returns {string|null} The description, `null` if the error is not caused by TLS.
+ */
+const describeTlsError = function (error, url) {
+  const messages = [];
+  for (let cause = error; cause instanceof Error; cause = cause.cause) {
+    messages.push(typeof cause.code === 'string' ? `${cause.code}: ${cause.message}` : cause.message);
+  }
+
+  const message = messages.join(': ');
+  const certificateProblems = [
+    [
+      /UnknownIssuer|unknown issuer|self[- ]signed|UNABLE_TO_GET_ISSUER_CERT|UNABLE_TO_VERIFY_LEAF_SIGNATURE/i,
+      'the certificate is signed by an unknown certificate authority, trust it with the --ca-file option',
+    ],
+    [/NotValidForName|not valid for name|ERR_TLS_CERT_ALTNAME_INVALID/i, `the certificate is not valid for the host name "${url.hostname}"`],
+    [/NotValidYet|not valid yet/i, 'the certificate is not valid yet, check the clocks of both machines'],
+    [/Expired/i, 'the certificate has expired'],
+    [/Revoked/i, 'the certificate has been revoked'],
+    [/BadSignature|bad signature/i, 'the certificate signature is invalid'],
+    [/CaUsedAsEndEntity/i, 'a CA certificate is presented as the server certificate'],
+    [/BadEncoding|UnsupportedCertVersion/i, 'the certificate is malformed'],
+  ];
+
+  if (!/certificate|tls|handshake/i.test(message)) {
+    return null;
+  }
+
+  const problem = certificateProblems.find(([pattern]) => pattern.test(message))?.[1] ?? message;
+  return `error: TLS handshake with ${url.host} failed: ${problem}`;
+};
+
+/**
+ * Fetches a resource of a server with an HTTPS agent, see `createServerAgent`. Requests to other origins are passed to the native `fetch` unchanged.
+ *
+ * @param {string|URL|Request} input - The resource to fetch.
+ * @param {Object} [init] - The request options.
+ * @returns {Promise<Response>} The response.
+ * @throws {Error} If the request fails, e.g. the certificate is not trusted or does not match the pinned fingerprints.
+ */
+const fetchWithAgent = async function (input, init) {
+  const url = new URL(input instanceof Request ? input.url : input);
+  const agent = serverAgents.get(url.origin);
+
+  if (typeof agent === 'undefined') {
+    return await nativeFetch(input, init);
+  }
+
+  return await new Promise((resolve, reject) => {
+    const request = https.request(url, { method: init?.method ?? 'GET', headers: init?.headers, agent: agent }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.once('error', reject);
+      response.once('end', () => {
+        resolve(
+          new Response(new Blob(chunks), {
+            status: response.statusCode,
+            statusText: response.statusMessage,
+            headers: Object.entries(response.headers).flatMap(([name, value]) => [value].flat().map((item) => [name, String(item)])),
+          }),
+        );
+      });
+    });
+    request.once('error', reject);
+    request.end(init?.body);
+  });
+};
+
+/**
+ * Calls a method of the API client. Failed TLS handshakes are reported with the actual certificate problem.
+ * NOTE: `urbackup-server-api` has no options for TLS and calls the global `fetch`, so it is replaced by `fetchWithAgent` only while calls of servers with an HTTPS agent are in progress.
+ *
+ * @param {URL} url - The server URL.
+ * @param {Function} call - The call of the method.
+ * @returns {Promise<*>} The result of the method.
+ * @throws {Error} If the method fails.
+ */
+const callWithTls = async function (url, call) {
+  const isAgentCall = serverAgents.has(url.origin);
+
+  if (isAgentCall) {
+    agentCallCount += 1;
+    globalThis.fetch = fetchWithAgent;
+  }
+
+  try {
+    return await call();
+  } catch (error) {
+    throw new Error(describeTlsError(error, url) ?? error.message, { cause: error });
+  } finally {
+    if (isAgentCall) {
+      agentCallCount -= 1;
+      if (agentCallCount === 0) {
+        globalThis.fetch = nativeFetch;
+      }
+    }
+  }
+};
+
+/**
+ * Resolves the connection password from the first configured source: a command printing the password to its standard output,
+ * a file containing the password or the password itself. A trailing line break is removed from the output of the command and from the file.
+ * A warning is printed if the password file is accessible by other users.
+ *
+ * @param {Object} passwordSources - The `command`, `file` and `password` sources, empty strings mean not configured.
+ * @returns {string} The password.
+ * @throws {Error} If the password command fails or the password file cannot be read.
+ */
+const resolvePassword = function (passwordSources) {
+  if (passwordSources.command.length > 0) {
+    const [program, ...args] = (passwordSources.command.match(/"[^"]*"|'[^']*'|\S+/g) ?? []).map((arg) => arg.replace(/^(["'])(.*)\1$/, '$2'));
+    let output;
+
+    // NOTE: The compiled binary is not granted the run permission, password commands are supported when running the source script only
+    if (!isPermissionGranted({ name: 'run', command: program })) {
+      throw new Error(`error: Password command "${program}" requires the run permission, run the source script with "--allow-run=${program}"`);
+    }
+
+    try {
+      output = new Deno.Command(program, { args: args, stdin: 'null', stdout: 'piped', stderr: 'piped' }).outputSync();
+    } catch (error) {
+      throw new Error(`error: Cannot run password command "${program}": ${error.message}`);
+    }
+
+    if (!output.success) {
+      const errorOutput = new TextDecoder().decode(output.stderr).trim();
+      throw new Error(`error: Password command "${program}" failed with exit code ${output.code}${errorOutput.length > 0 ? `: ${errorOutput}` : ''}`);
+    }
+
+    return new TextDecoder().decode(output.stdout).replace(/\r?\n$/, '');
+  }
+
+  if (passwordSources.file.length > 0) {
+    let password;
+
+    if (!isPermissionGranted({ name: 'read', path: passwordSources.file })) {
+      throw new Error(`error: Password file "${passwordSources.file}" requires read permission, grant it with "--allow-read=${passwordSources.file}"`);
+    }
+
+    try {
+      password = Deno.readTextFileSync(passwordSources.file);
+    } catch (error) {
+      throw new Error(`error: Cannot read password file "${passwordSources.file}": ${error.message}`);
+    }
+
+    // NOTE: File mode is not available on Windows
+    const mode = Deno.statSync(passwordSources.file).mode;
+    if (mode !== null && (mode & 0o077) !== 0) {
+      // deno-lint-ignore no-console
+      console.error(cliTheme.warning(`warning: Password file "${passwordSources.file}" is accessible by other users, restrict its permissions, e.g. chmod 600`));
+    }
+
+    return password.replace(/\r?\n$/, '');
+  }
+
+  return passwordSources.password;
+};
+
+/**
+ * Builds an API client for the UrBackup Server. Connection details are taken from the command options, falling back to the selected profile or the settings.
+ * The password is prompted for with the `askPass` command option, otherwise it is resolved from the password sources.
+ *
+ * @param {Object} commandOptions - The command options.
+ * @returns {UrbackupServer} The API client.
+ * @throws {Error} If the profile is unknown, or the connection details or the password cannot be used.
+ */
+function buildServer(commandOptions) {
+  const profileName = typeof commandOptions?.profile === 'string' ? commandOptions.profile.toLowerCase() : '';
+  const profile = profileName.length > 0 ? getProfiles().get(profileName) : {
+    url: getSettings('URBSTAT_SERVER_URL'),
+    username: getSettings('URBSTAT_SERVER_USERNAME'),
+    passwordSources: getPasswordSources(),
+    caFile: getSettings('URBSTAT_SERVER_CA_FILE'),
+    certFingerprint: getSettings('URBSTAT_SERVER_CERT_FINGERPRINT'),
+  };
+  if (typeof profile === 'undefined') {
+    throw new Error(`error: Unknown profile "${commandOptions.profile}"`);
+  }
+
+  const urlString = (typeof commandOptions?.url === 'string' && commandOptions.url.length > 0) ? commandOptions.url : profile.url;
+  if (!URL.canParse(urlString)) {
+    throw new Error(profileName.length > 0 ? `error: Invalid URL in profile "${profileName}"` : 'error: Invalid URL');
+  }
+
+  const url = new URL(urlString);
+  const caFile = (typeof commandOptions?.caFile === 'string' && commandOptions.caFile.length > 0) ? commandOptions.caFile : profile.caFile;
+  const certFingerprint = (typeof commandOptions?.certFingerprint === 'string' && commandOptions.certFingerprint.length > 0) ? commandOptions.certFingerprint : profile.certFingerprint;
+  const caCertificates = [];
+
+  if (caFile.length > 0) {
+    try {
+      caCertificates.push(Deno.readTextFileSync(caFile));
+    } catch (error) {
+      throw new Error(`error: Cannot use CA file "${caFile}": ${error.message}`);
+    }
+  }
+
+  if (parseFingerprints(certFingerprint).some((fingerprint) => !/^[0-9A-F]{64}$/.test(fingerprint))) {
+    throw new Error('error: Invalid certificate fingerprint, expected 64 hexadecimal digits, optionally separated by colons');
+  }
+
+  if (url.protocol === 'https:' && (caCertificates.length > 0 || parseFingerprints(certFingerprint).length > 0)) {
+    serverAgents.set(url.origin, createServerAgent(caCertificates, parseFingerprints(certFingerprint)));
+  }
+
+  const username = (typeof commandOptions?.user === 'string' && commandOptions.user.length > 0) ? commandOptions.user : profile.username;
+  const password = commandOptions?.askPass === true
+    ? promptSecret(profileName.length > 0 ? `Enter password for profile "${profileName}":` : 'Enter password:')
+    : resolvePassword(profile.passwordSources);
+
+  const server = new UrbackupServer({
+    url: url.href,
+    username: username,
+    password: password,
+  });
+
+  if (url.protocol !== 'https:') {
+    return server;
+  }
+
+  return new Proxy(server, {
+    get: (target, key) => typeof target[key] === 'function' ? (...args) => callWithTls(url, () => target[key](...args)) : target[key],
+  });
+}
+
+/**
+ * Creates an API client for the UrBackup Server, see `buildServer`. Exits if the client cannot be built.
+ *
+ * @param {Object} commandOptions - The command options.
+ * @param {boolean} [isPluginMode=false] - A flag indicating whether errors should be reported following the monitoring plugin conventions.
+ * @returns {UrbackupServer} The API client.
+ */
+function createServer(commandOptions, isPluginMode = false) {
+  assertValidSettings(isPluginMode);
+
+  try {
+    return buildServer(commandOptions);
+  } catch (error) {
+    exitWithError(error.message, isPluginMode);
+  }
+}
+
+/**
+ * Checks whether a client is 'blank', i.e. it has no completed backups. Mirrors the semantics of `urbackup-server-api`.
+ *
+ * @param {Object} client - The client element of the status response.
+ * @param {Object} matchOptions - The matching options.
+ * @param {boolean} matchOptions.includeFileBackups - A flag indicating whether to consider file backups.
+ * @param {boolean} matchOptions.includeImageBackups - A flag indicating whether to consider image backups.
+ * @returns {boolean} `true` if the client is blank.
+ */
+const isBlankClient = function (client, { includeFileBackups, includeImageBackups }) {
+  const isBlankFile = includeFileBackups === true && client[MAPS.client.lastFile.property] === 0 && client[MAPS.client.isFileDisabled.property] !== true;
+  const isBlankImage = includeImageBackups === true && client[MAPS.client.lastImage.property] === 0 && client[MAPS.client.isImageDisabled.property] !== true;
+
+  return isBlankFile || isBlankImage;
+};
+
+/**
+ * Checks whether a client has a 'failed' backup status. Mirrors the semantics of `urbackup-server-api`.
+ *
+ * @param {Object} client - The client element of the status response.
+ * @param {Object} matchOptions - The matching options.
+ * @param {boolean} matchOptions.includeFileBackups - A flag indicating whether to consider file backups.
+ * @param {boolean} matchOptions.includeImageBackups - A flag indicating whether to consider image backups.
+ * @param {boolean} matchOptions.failOnFileIssues - A flag indicating whether file backups finished with issues are treated as failed.
+ * @returns {boolean} `true` if the client is failed.
+ */
+const isFailedClient = function (client, { includeFileBackups, includeImageBackups, failOnFileIssues }) {
+  const isFileOk = failOnFileIssues === true ? client[MAPS.client.issuesFile.property] === 0 && client[MAPS.client.statusFile.property] === true : client[MAPS.client.statusFile.property] === true;
+  const isFailedFile = includeFileBackups === true && client[MAPS.client.isFileDisabled.property] !== true && !isFileOk;
+  const isFailedImage = includeImageBackups === true && client[MAPS.client.isImageDisabled.property] !== true && client[MAPS.client.statusImage.property] !== true;
+
+  return isFailedFile || isFailedImage;
+};
+
+/**
+ * Checks whether a client has an 'OK' backup status. Mirrors the semantics of `urbackup-server-api`.
+ *
+ * @param {Object} client - The client element of the status response.
+ * @param {Object} matchOptions - The matching options.
+ * @param {boolean} matchOptions.includeFileBackups - A flag indicating whether to consider file backups.
+ * @param {boolean} matchOptions.includeImageBackups - A flag indicating whether to consider image backups.
+ * @param {boolean} matchOptions.failOnFileIssues - A flag indicating whether file backups finished with issues are treated as failed.
+ * @returns {boolean} `true` if the client is OK.
+ */
+const isOkClient = function (client, { includeFileBackups, includeImageBackups, failOnFileIssues }) {
+  const isFileOk = failOnFileIssues === true ? client[MAPS.client.issuesFile.property] === 0 && client[MAPS.client.statusFile.property] === true : client[MAPS.client.statusFile.property] === true;
+  const isOkFile = includeFileBackups === true && client[MAPS.client.isFileDisabled.property] !== true && isFileOk;
+  const isOkImage = includeImageBackups === true && client[MAPS.client.isImageDisabled.property] !== true && client[MAPS.client.statusImage.property] === true;
+
+  return isOkFile || isOkImage;
+};
+
+/**
+ * Checks whether a client is 'stale', i.e. its last backup is older than the time threshold. Mirrors the semantics of `urbackup-server-api`.
+ *
+ * @param {Object} client - The client element of the status response.
+ * @param {Object} matchOptions - The matching options.
+ * @param {boolean} matchOptions.includeFileBackups - A flag indicating whether to consider file backups.
+ * @param {boolean} matchOptions.includeImageBackups - A flag indicating whether to consider image backups.
+ * @param {number} matchOptions.currentEpochTime - The current time in seconds since the Unix epoch.
+ * @param {number} matchOptions.fileTimeThreshold - The time threshold for file backups in minutes.
+ * @param {number} matchOptions.imageTimeThreshold - The time threshold for image backups in minutes.
+ * @returns {boolean} `true` if the client is stale.
+ */
+const isStaleClient = function (client, { includeFileBackups, includeImageBackups, currentEpochTime, fileTimeThreshold, imageTimeThreshold }) {
+  const isStaleFile = includeFileBackups === true && client[MAPS.client.isFileDisabled.property] !== true &&
+    Math.round((currentEpochTime - (client[MAPS.client.lastFile.property] ?? 0)) / 60) >= fileTimeThreshold;
+  const isStaleImage = includeImageBackups === true && client[MAPS.client.isImageDisabled.property] !== true &&
+    Math.round((currentEpochTime - (client[MAPS.client.lastImage.property] ?? 0)) / 60) >= imageTimeThreshold;
+
+  return isStaleFile || isStaleImage;
+};
+
+/**
+ * Checks whether a client is 'unseen', i.e. it has not been seen by the server for longer than the time threshold. Mirrors the semantics of `urbackup-server-api`.
+ *
+ * @param {Object} client - The client element of the status response.
+ * @param {Object} matchOptions - The matching options.
+ * @param {number} matchOptions.currentEpochTime - The current time in seconds since the Unix epoch.
+ * @param {number} matchOptions.timeThreshold - The time threshold in minutes.
+ * @returns {boolean} `true` if the client is unseen.
+ */
+const isUnseenClient = function (client, { currentEpochTime, timeThreshold }) {
+  return Math.round((currentEpochTime - (client[MAPS.client.lastSeen.property] ?? 0)) / 60) >= timeThreshold;
+};
+
+/**
+ * Converts a wildcard pattern, where `*` matches any characters and `?` matches a single character, into a regular expression.
+ *
+ * @param {string} pattern - The wildcard pattern.
+ * @returns {RegExp} The regular expression matching the whole string.
+ */
+const wildcardToRegExp = function (pattern) {
+  return new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replaceAll('*', '.*').replaceAll('?', '.')}$`);
+};
+
+/**
+ * Parses a client filter expression, e.g. `osType=windows`, `name~^srv-`, `lastSeen<2d`, `version!=2.5.25` or `online=false`.
+ * Fields are keys of the client property mappings or property names used by the server. Operators are `=`, `!=`, `~` and `!~` (regular expression), `<`, `<=`, `>`, `>=`.
+ * Raw values are compared, case-insensitively and with numeric collation for strings, e.g. versions. Booleans can be compared with `true`, `false`, `yes` or `no`.
+ * Timestamps compared with a duration (a number followed by `s`, `m`, `h`, `d` or `w`) are compared by age, e.g. `lastSeen>2d` matches clients not seen for more than 2 days.
+ *
+ * @param {string} expression - The filter expression.
+ * @param {number} currentEpochTime - The current time in seconds since the Unix epoch.
+ * @returns {Function} A predicate returning `true` for matching clients.
+ * @throws {Error} If the expression is invalid.
+ */
+const parseClientFilter = function (expression, currentEpochTime) {
+  const expressionMatch = expression.match(/^\s*([A-Za-z_]+)\s*(!=|!~|<=|>=|=|~|<|>)\s*(.*?)\s*$/);
+  if (expressionMatch === null) {
+    throw new Error(`error: Invalid filter "${expression}", use "<field><operator><value>", e.g. "osType=windows"`);
+  }
+
+  const [, field, operator, value] = expressionMatch;
+  const descriptor = MAPS.client[field] ?? Object.values(MAPS.client).find((element) => element.property === field);
+  if (typeof descriptor === 'undefined') {
+    throw new Error(`error: Unknown filter field "${field}", use the "--list-columns" option to list available fields`);
+  }
+
+  let pattern;
+  if (operator === '~' || operator === '!~') {
+    try {
+      pattern = new RegExp(value, 'i');
+    } catch {
+      throw new Error(`error: Invalid regular expression in filter "${expression}"`);
+    }
+  }
+
+  const durationUnits = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+  const durationMatch = value.match(/^(\d+)([smhdw])$/);
+  const booleanValues = { yes: 'true', no: 'false' };
+
+  /**
+   * Compares a field value with the filter value.
+   *
+   * @param {*} fieldValue - The field value.
+   * @returns {number} A negative number, zero or a positive number, if the field value is less than, equal to or greater than the filter value.
+   */
+  const compare = (fieldValue) => {
+    if (durationMatch !== null && typeof fieldValue === 'number') {
+      // NOTE: Timestamps are compared by age, both sides in seconds
+      return (currentEpochTime - fieldValue) - Number(durationMatch[1]) * durationUnits[durationMatch[2]];
+    } else if (typeof fieldValue === 'number' && value.length > 0 && !Number.isNaN(Number(value))) {
+      return fieldValue - Number(value);
+    } else if (typeof fieldValue === 'boolean') {
+      return String(fieldValue).localeCompare(booleanValues[value.toLowerCase()] ?? value, undefined, { sensitivity: 'base' });
+    } else {
+      return String(fieldValue ?? '').localeCompare(value, undefined, { numeric: true, sensitivity: 'base' });
+    }
+  };
+
+  return (client) => {
+    const fieldValue = getFieldValue(descriptor, client, true);
+
+    switch (operator) {
+      case '~':
+        return pattern.test(String(fieldValue ?? ''));
+      case '!~':
+        return !pattern.test(String(fieldValue ?? ''));
+      case '=':
+        return compare(fieldValue) === 0;
+      case '!=':
+        return compare(fieldValue) !== 0;
+      case '<':
+        return compare(fieldValue) < 0;
+      case '<=':
+        return compare(fieldValue) <= 0;
+      case '>':
+        return compare(fieldValue) > 0;
+      default:
+        return compare(fieldValue) >= 0;
+    }
+  };
+};
+
+/**
+ * Reads the exclude file, i.e. names of clients intentionally ignored in reports, such as decommissioned or on-demand machines.
+ * Names are listed one per line and can contain `*` and `?` wildcards. Empty lines and lines starting with `#` are ignored.
+ *
+ * @param {string} path - The path of the exclude file, empty means no exclude file.
+ * @returns {Promise<RegExp[]>} The patterns of excluded client names.
+ * @throws {Error} If the exclude file cannot be read.
+ */
+const readExcludeFile = async function (path) {
+  if (typeof path !== 'string' || path.length === 0) {
+    return [];
+  }
+
+  let text;
+  try {
+    text = await Deno.readTextFile(path);
+  } catch (error) {
+    throw new Error(`error: Cannot read exclude file "${path}": ${error.message}`);
+  }
+
+  return text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0 && !line.startsWith('#')).map((line) => wildcardToRegExp(line));
+};
+
+/**
+ * Parses threshold policies, e.g. `group:mobile stale=10080 unseen=20160; client:srv-* stale-file=1440 stale-image=10080`.
+ * Each policy starts with a selector, either `group:<name>` matching the group name exactly or `client:<pattern>` matching the client name,
+ * where `*` matches any characters and `?` matches a single character. Selectors containing spaces must be quoted, e.g. `group:"Mobile Laptops"`.
+ * The selector is followed by thresholds in minutes: `stale` (file and image backups), `stale-file`, `stale-image` and `unseen`.
+ *
+ * @param {string} text - The policies, separated by semicolons.
+ * @returns {Object[]} The policies in the order of definition, each with `selector`, `matches` and `thresholds` properties.
+ * @throws {Error} If any of the policies is invalid.
+ */
+const parseThresholdPolicies = function (text) {
+  const thresholdKeys = { 'stale': ['staleFile', 'staleImage'], 'stale-file': ['staleFile'], 'stale-image': ['staleImage'], 'unseen': ['unseen'] };
+
+  return text.split(';').map((policyText) => policyText.trim()).filter((policyText) => policyText.length > 0).map((policyText) => {
+    const [selector, ...assignments] = policyText.match(/(?:[^\s"]+|"[^"]*")+/g).map((token) => token.replaceAll('"', ''));
+    const separatorIndex = selector.indexOf(':');
+    const selectorType = selector.slice(0, separatorIndex);
+    const selectorValue = selector.slice(separatorIndex + 1);
+    const thresholds = {};
+    let matches;
+
+    if (separatorIndex > 0 && selectorType === 'group') {
+      matches = (client) => client[MAPS.client.groupName.property] === selectorValue;
+    } else if (separatorIndex > 0 && selectorType === 'client') {
+      const pattern = wildcardToRegExp(selectorValue);
+      matches = (client) => pattern.test(client[MAPS.client.name.property]);
+    } else {
+      throw new Error(`error: Invalid threshold policy selector "${selector}", use "group:<name>" or "client:<pattern>"`);
+    }
+
+    for (const assignment of assignments) {
+      const [key, value] = assignment.split('=');
+      if (!(key in thresholdKeys) || !/^\d+$/.test(value ?? '')) {
+        throw new Error(`error: Invalid threshold "${assignment}" in policy "${policyText}"`);
+      }
+
+      for (const thresholdKey of thresholdKeys[key]) {
+        thresholds[thresholdKey] = Number(value);
+      }
+    }
+
+    return { selector, matches, thresholds };
+  });
+};
+
+/**
+ * Gets the stale and unseen thresholds of a client. The first matching policy applies, thresholds not defined by it fall back to the defaults.
+ *
+ * @param {Object} client - The client element of the status response.
+ * @param {Object[]} policies - The threshold policies, as returned by `parseThresholdPolicies`.
+ * @param {Object} defaultThresholds - The default thresholds in minutes, with `stale` and `unseen` properties.
+ * @returns {Object} The thresholds in minutes, with `staleFile`, `staleImage`, `unseen` and `policy` properties.
+ */
+const getClientThresholds = function (client, policies, defaultThresholds) {
+  const policy = policies.find((element) => element.matches(client));
+
+  return {
+    staleFile: policy?.thresholds.staleFile ?? defaultThresholds.stale,
+    staleImage: policy?.thresholds.staleImage ?? defaultThresholds.stale,
+    unseen: policy?.thresholds.unseen ?? defaultThresholds.unseen,
+    policy: policy?.selector ?? 'default',
+  };
+};
+
+/**
+ * API calls derived from the status response.
+ */
+const clientCalls = [
+  'status',
+  'all-clients',
+  'ok-clients',
+  'failed-clients',
+  'stale-clients',
+  'blank-clients',
+  'unseen-clients',
+  'removed-clients',
+  'online-clients',
+  'offline-clients',
+  'active-clients',
+];
+
+/**
+ * Requests raw data from the UrBackup Server. Independent API calls are made concurrently.
+ *
+ * @param {UrbackupServer} server - The API client.
+ * @param {string[]} requiredCalls - The required API calls.
+ * @param {Object} commandOptions - The command options.
+ * @returns {Promise<Object>} The raw responses, `null` for data not required.
+ * @throws {Error} If any of the API calls fails.
+ */
+async function requestServerData(server, requiredCalls, commandOptions) {
+  // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
+  const groupName = commandOptions?.groupName === true ? '' : commandOptions?.groupName;
+  const clientName = [commandOptions?.clientName, commandOptions?.name].find((name) => typeof name === 'string' && name.length > 0);
+
+  const [clients, activities, usage, outdatedClients, users, groups, backups] = await Promise.all([
+    requiredCalls.some((call) => clientCalls.includes(call)) ? server.getClients({ includeRemoved: true }) : null,
+    (requiredCalls.includes('activities') || requiredCalls.includes('paused-activities'))
+      ? server.getActivities({
+        clientId: typeof commandOptions?.clientId === 'number' ? commandOptions.clientId : undefined,
+        clientName: clientName,
+        includeCurrent: true,
+        includeLast: true,
+        includePaused: true,
+      })
+      : null,
+    requiredCalls.includes('usage') ? server.getUsage({ clientName: clientName }) : null,
+    requiredCalls.includes('outdated-clients') ? server.getOutdatedClients({ groupName: groupName, includeRemoved: false }) : null,
+    requiredCalls.includes('users') ? server.getUsers({}) : null,
+    requiredCalls.includes('groups') ? server.getGroups({}) : null,
+    requiredCalls.includes('backups')
+      ? server.getBackups({
+        clientId: typeof commandOptions?.clientId === 'number' ? commandOptions.clientId : undefined,
+        clientName: clientName,
+        includeFileBackups: commandOptions?.skipFile !== true,
+        includeImageBackups: commandOptions?.skipImage !== true,
+      })
+      : null,
+  ]);
+
+  return { clients, activities, usage, outdatedClients, users, groups, backups };
+}
+
+/**
+ * Merges raw data requested from multiple servers. Arrays are concatenated and objects containing arrays, such as activities, are merged key by key.
+ * Elements are copied and tagged with the name of the profile they come from, using the `server` property shared by all mappings.
+ *
+ * @param {Object[]} profilesData - The raw data of profiles, each with the `profileName` and the `data` returned by `requestServerData`.
+ * @returns {Object} The merged raw data.
+ */
+const mergeServerData = function (profilesData) {
+  const tagValue = (value, profileName) => {
+    if (Array.isArray(value)) {
+      return value.map((element) => ({ ...element, [MAPS.client.server.property]: profileName }));
+    } else if (typeof value === 'object' && value !== null) {
+      return Object.fromEntries(Object.entries(value).map(([key, nestedValue]) => [key, tagValue(nestedValue, profileName)]));
+    } else {
+      return value;
+    }
+  };
+
+  const mergeValues = (values) => {
+    if (values.some((value) => typeof value !== 'object' || value === null)) {
+      return values[0];
+    } else if (Array.isArray(values[0])) {
+      return values.flat();
+    } else {
+      return Object.fromEntries(Object.keys(values[0]).map((key) => [key, mergeValues(values.map((value) => value[key]))]));
+    }
+  };
+
+  return mergeValues(profilesData.map(({ profileName, data }) => tagValue(data, profileName)));
+};
+
+/**
+ * Derives responses from the raw data and stores them. Client lists are derived locally from a single status snapshot, except for outdated clients,
+ * which depend on the latest client version known to `urbackup-server-api`.
+ * Stale and unseen clients use `staleThreshold` and `unseenThreshold` command options respectively, falling back to the `threshold` command option.
+ * Client lists are narrowed down by the `filter`, `exclude` and `excludeFile` command options, see `addClientFilterOptions`.
+ *
+ * @param {Object} data - The raw data returned by `requestServerData`.
+ * @param {string[]} requiredCalls - The required API calls.
+ * @param {Object} commandOptions - The command options.
+ * @returns {Promise<void>}
+ * @throws {Error} If the filters or the exclude file are invalid.
+ */
+async function storeServerData(data, requiredCalls, commandOptions) {
+  const { clients, activities, usage, outdatedClients, users, groups, backups } = data;
+  // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
+  const groupName = commandOptions?.groupName === true ? '' : commandOptions?.groupName;
+  // NOTE: Conversion is needed as UrBackup uses seconds for timestamps whereas Javascript uses milliseconds.
+  const currentEpochTime = Math.round(Date.now() / 1000);
+  const clientFilters = (commandOptions?.filter ?? []).map((expression) => parseClientFilter(expression, currentEpochTime));
+  const clientExclusions = (commandOptions?.exclude ?? []).map((expression) => parseClientFilter(expression, currentEpochTime));
+  const excludedNames = requiredCalls.some((call) => call !== 'status' && (clientCalls.includes(call) || call === 'outdated-clients')) ? await readExcludeFile(commandOptions?.excludeFile) : [];
+
+  const getThreshold = (threshold) => (typeof threshold === 'number' && threshold >= 0) ? threshold : 0;
+  const matchOptions = {
+    includeFileBackups: commandOptions?.skipFile !== true,
+    includeImageBackups: commandOptions?.skipImage !== true,
+    failOnFileIssues: commandOptions?.strict === true,
+    currentEpochTime: currentEpochTime,
+  };
+  const isRemoved = (client) => client[MAPS.client.toRemove.property] === '1';
+  const isNotBlank = (client, blankMatchOptions) => commandOptions?.skipBlank !== true || !isBlankClient(client, blankMatchOptions);
+  const isIncluded = (client) =>
+    clientFilters.every((matches) => matches(client)) && !clientExclusions.some((matches) => matches(client)) &&
+    !excludedNames.some((pattern) => pattern.test(client[MAPS.client.name.property]));
+  const groupClients = (clients ?? []).filter((client) => (typeof groupName !== 'string' || client[MAPS.client.groupName.property] === groupName) && isIncluded(client));
+  const currentClients = groupClients.filter((client) => !isRemoved(client));
+  const allBackups = { includeFileBackups: true, includeImageBackups: true };
+  const getResponse = (call, getData) => requiredCalls.includes(call) ? getData() : null;
+
+  statusResponse = getResponse('status', () => {
+    if (typeof commandOptions?.id === 'number') {
+      return clients.filter((client) => client[MAPS.client.id.property] === commandOptions.id).slice(0, 1);
+    } else if (typeof commandOptions?.name === 'string' && commandOptions.name.length > 0) {
+      return clients.filter((client) => client[MAPS.client.name.property] === commandOptions.name).slice(0, 1);
+    } else {
+      return clients;
+    }
+  });
+
+  activitiesResponse = getResponse('activities', () => ({
+    current: activities.current.filter((activity) => commandOptions?.skipPaused !== true || activity[MAPS.activityCurrent.isPaused.property] !== true),
+    last: activities.last,
+  }));
+
+  pausedActivitiesResponse = getResponse('paused-activities', () => activities.current.filter((activity) => activity[MAPS.activityCurrent.isPaused.property] === true));
+
+  usageResponse = getResponse('usage', () => usage);
+
+  allClientsResponse = getResponse('all-clients', () => groupClients);
+
+  okClientsResponse = getResponse('ok-clients', () => currentClients.filter((client) => isOkClient(client, matchOptions)));
+
+  outdatedClientsResponse = getResponse('outdated-clients', () => outdatedClients.filter((client) => isIncluded(client)));
+
+  failedClientsResponse = getResponse('failed-clients', () => currentClients.filter((client) => isFailedClient(client, matchOptions) && isNotBlank(client, matchOptions)));
+
+  appliedThresholds = new Map();
+  if (requiredCalls.includes('stale-clients') || requiredCalls.includes('unseen-clients')) {
+    const policies = commandOptions?.ignorePolicies === true ? [] : parseThresholdPolicies(String(getSettings('URBSTAT_THRESHOLD_POLICIES')));
+    const defaultThresholds = {
+      stale: getThreshold(commandOptions?.staleThreshold ?? commandOptions?.threshold),
+      unseen: getThreshold(commandOptions?.unseenThreshold ?? commandOptions?.threshold),
+    };
+
+    for (const client of currentClients) {
+      appliedThresholds.set(client, getClientThresholds(client, policies, defaultThresholds));
+    }
+  }
+
+  staleClientsResponse = getResponse('stale-clients', () =>
+    currentClients.filter((client) => {
+      const thresholds = appliedThresholds.get(client);
+      const staleMatchOptions = { ...matchOptions, fileTimeThreshold: thresholds.staleFile, imageTimeThreshold: thresholds.staleImage };
+      return isStaleClient(client, staleMatchOptions) && isNotBlank(client, matchOptions);
+    }));
+
+  blankClientsResponse = getResponse('blank-clients', () => currentClients.filter((client) => isBlankClient(client, matchOptions)));
+
+  unseenClientsResponse = getResponse('unseen-clients', () =>
+    currentClients.filter((client) => {
+      const unseenMatchOptions = { ...matchOptions, timeThreshold: appliedThresholds.get(client).unseen };
+      return isUnseenClient(client, unseenMatchOptions) && isNotBlank(client, allBackups);
+    }));
+
+  removedClientsResponse = getResponse('removed-clients', () => groupClients.filter((client) => isRemoved(client)));
+
+  onlineClientsResponse = getResponse('online-clients', () => currentClients.filter((client) => client[MAPS.client.isOnline.property] === true && isNotBlank(client, allBackups)));
+
+  offlineClientsResponse = getResponse('offline-clients', () => currentClients.filter((client) => client[MAPS.client.isOnline.property] === false && isNotBlank(client, allBackups)));
+
+  activeClientsResponse = getResponse('active-clients', () => currentClients.filter((client) => client[MAPS.client.activity.property] !== 0));
+
+  usersResponse = getResponse('users', () => users);
+
+  groupsResponse = getResponse('groups', () => groups);
+
+  backupsResponse = getResponse('backups', () => backups);
+}
+
+/**
+ * Fetches data from the UrBackup Server and stores the responses. Unlike `makeServerCalls`, errors are thrown to the caller.
+ *
+ * @param {UrbackupServer} server - The API client.
+ * @param {string[]} requiredCalls - The required API calls.
+ * @param {Object} commandOptions - The command options.
+ * @returns {Promise<void>}
+ * @throws {Error} If any of the API calls fails.
+ */
+async function fetchServerData(server, requiredCalls, commandOptions) {
+  const data = await requestServerData(server, requiredCalls, commandOptions);
+
+  mergedProfiles = [];
+  await storeServerData(data, requiredCalls, commandOptions);
+}
+
+/**
+ * Fetches data from the servers of all profiles concurrently, then merges and stores the responses.
+ * A server that fails, including one that cannot be built from its profile, is reported as a warning, the run is aborted only if all of them fail.
+ *
+ * @param {string[]} requiredCalls - The required API calls.
+ * @param {Object} commandOptions - The command options.
+ * @param {boolean} [isPluginMode=false] - A flag indicating whether errors should be reported following the monitoring plugin conventions.
+ * @returns {Promise<void>}
+ * @throws {Error} If no profiles are defined or all servers fail.
+ */
+async function fetchProfilesData(requiredCalls, commandOptions, isPluginMode = false) {
+  const profileNames = [...getProfiles().keys()];
+  if (profileNames.length === 0) {
+    throw new Error('error: No profiles defined in the configuration file');
+  }
+
+  assertValidSettings(isPluginMode);
+
+  // NOTE: Servers are built synchronously at the start of each request, so that passwords are prompted for one by one. Connection details and fingerprints given by options would apply to all profiles.
+  const results = await Promise.allSettled(profileNames.map(async (profileName) => {
+    const server = buildServer({ ...commandOptions, profile: profileName, url: undefined, user: undefined, certFingerprint: undefined });
+    return await requestServerData(server, requiredCalls, commandOptions);
+  }));
+  const profilesData = [];
+
+  for (const [index, result] of results.entries()) {
+    if (result.status === 'fulfilled') {
+      profilesData.push({ profileName: profileNames[index], data: result.value });
+    } else {
+      // deno-lint-ignore no-console
+      console.error(cliTheme.warning(`warning: Profile "${profileNames[index]}" failed: ${String(result.reason?.message ?? result.reason).replace(/^error: /, '')}`));
+    }
+  }
+
+  if (profilesData.length === 0) {
+    throw new Error('error: All profiles failed');
+  }
+
+  mergedProfiles = profilesData.map(({ profileName }) => profileName);
+  await storeServerData(mergeServerData(profilesData), requiredCalls, commandOptions);
+}
+
+/**
+ * Make the required API calls to the UrBackup Server.
+ *
+ * @param {string[]} requiredCalls - The required API calls.
+ * @param {Object} commandOptions - The command options.
+ * @param {boolean} [isPluginMode=false] - A flag indicating whether errors should be reported following the monitoring plugin conventions.
+ * @returns {Promise<void>}
+ */
+async function makeServerCalls(requiredCalls, commandOptions, isPluginMode = false) {
+  // NOTE: Comparing with the last run needs all clients to tell clients that left a list from those that disappeared
+  const calls = commandOptions?.sinceLast === true ? [...new Set([...requiredCalls, 'all-clients'])] : requiredCalls;
+
+  try {
+    if (commandOptions?.allProfiles === true) {
+      await fetchProfilesData(calls, commandOptions, isPluginMode);
+    } else {
+      await fetchServerData(createServer(commandOptions, isPluginMode), calls, commandOptions);
+    }
+  } catch (error) {
+    exitWithError(error.message, isPluginMode);
+  }
+}
+
+/**
+ * Sorts an array of objects. This function modifies data in place.
+ * NOTE: Sorting must be done before plucking.
+ *
+ * @param {Array} data - The array of data to sort.
+ * @param {string} dataType - The type of data being processed.
+ * @param {string} sortingOrder - The sorting order key.
+ * @param {boolean} isReversed - A flag indicating whether to sort in reverse order.
+ */
+const sortElements = function (data, dataType, sortingOrder, isReversed) {
+  const sortMaps = {
+    client: {
+      name: MAPS.client.name.property,
+      seen: MAPS.client.lastSeen.property,
+      file: MAPS.client.lastFile.property,
+      image: MAPS.client.lastImage.property,
+    },
+    thresholdClient: {
+      name: MAPS.thresholdClient.name.property,
+      seen: MAPS.thresholdClient.lastSeen.property,
+      file: MAPS.thresholdClient.lastFile.property,
+      image: MAPS.thresholdClient.lastImage.property,
+    },
+    activityCurrent: {
+      client: MAPS.activityCurrent.clientName.property,
+      eta: MAPS.activityCurrent.eta.property,
+      progress: MAPS.activityCurrent.progress.property,
+      size: MAPS.activityCurrent.size.property,
+    },
+    activityLast: {
+      client: MAPS.activityLast.clientName.property,
+      size: MAPS.activityLast.size.property,
+      time: MAPS.activityLast.startingTime.property,
+      duration: MAPS.activityLast.duration.property,
+    },
+    usage: {
+      name: MAPS.usage.clientName.property,
+      file: MAPS.usage.file.property,
+      image: MAPS.usage.image.property,
+      total: MAPS.usage.used.property,
+    },
+    usageGroup: {
+      name: MAPS.usageGroup.groupName.property,
+      file: MAPS.usageGroup.file.property,
+      image: MAPS.usageGroup.image.property,
+      total: MAPS.usageGroup.used.property,
+    },
+    user: {
+      name: MAPS.user.name.property,
+      id: MAPS.user.id.property,
+    },
+    group: {
+      name: MAPS.group.name.property,
+      id: MAPS.group.id.property,
+    },
+    backupFile: {
+      time: MAPS.backupFile.time.property,
+      size: MAPS.backupFile.size.property,
+    },
+    backupImage: {
+      time: MAPS.backupImage.time.property,
+      size: MAPS.backupImage.size.property,
+    },
+    trend: {
+      name: MAPS.trend.clientName.property,
+      used: MAPS.trend.used.property,
+      growth: MAPS.trend.growth.property,
+      success: MAPS.trend.successRate.property,
+    },
+  };
+
+  const sortingProperty = sortMaps[dataType][sortingOrder];
+
+  if (typeof sortingProperty === 'undefined') {
+    return;
+  }
+
+  data.sort((a, b) => {
+    const valueA = a[sortingProperty];
+    const valueB = b[sortingProperty];
+
+    if (typeof valueA === 'string' && typeof valueB === 'string') {
+      return valueA.localeCompare(valueB, getSettings('URBSTAT_LOCALE'), { sensitivity: 'base' });
+    } else if (typeof valueA === 'number' && typeof valueB === 'number') {
+      return valueA - valueB;
+    }
+
+    // NOTE: Missing values, e.g. the group name of clients unknown to the server, are sorted after all other values
+    return Number(valueA === null || typeof valueA === 'undefined') - Number(valueB === null || typeof valueB === 'undefined');
+  });
+
+  if (isReversed === true) {
+    data.reverse();
+  }
+};
+
+/**
+ * Plucks a specific property from each element in an array of objects. This function modifies data in place.
+ * NOTE: Plucking must be done after sorting.
+ *
+ * @param {Array} data - The array data to pluck properties from.
+ * @param {string} dataType - The type of data being processed.
+ * @param {string} outputFormat - The output format.
+ */
+const pluckProperties = function (data, dataType, outputFormat) {
+  const descriptorIndex = Object.values(MAPS[dataType]).findIndex((descriptor) => {
+    switch (outputFormat) {
+      case 'list':
+        return descriptor?.inList === true;
+        // break;
+      default:
+        break;
+    }
+  });
+  const targetProperty = descriptorIndex >= 0 ? Object.values(MAPS[dataType])[descriptorIndex].property : undefined;
+
+  data.forEach((element, index) => {
+    data[index] = element[targetProperty];
+  });
+};
+
+/**
+ * Transforms data by sorting, limiting, and plucking it. This function modifies data in place.
+ *
+ * @param {Array} data - The array of data to be processed.
+ * @param {string} dataType - The type of data being processed.
+ * @param {object} commandOptions - The options for the command.
+ */
+const transformData = function (data, dataType, commandOptions) {
+  if (commandOptions?.format !== 'number') {
+    sortElements(data, dataType, commandOptions?.sort, commandOptions?.reverse);
+    data.splice(commandOptions?.max > 0 ? commandOptions.max : data.length);
+
+    if (commandOptions?.format === 'list') {
+      pluckProperties(data, dataType, commandOptions?.format);
+    }
+  }
+};
+
+/**
+ * Gets the value of a single field described by a property mapping.
+ * Fields computed by `urbstat` have a `getter` instead of a `property` in their mapping.
+ *
+ * @param {Object} descriptor - The property mapping (descriptor) of the field.
+ * @param {Object} element - The element to get the value from.
+ * @param {boolean} isRawValues - A flag indicating whether to return the raw value instead of the normalized one.
+ * @returns {*} The field value.
+ */
+const getFieldValue = function (descriptor, element, isRawValues) {
+  if (isRawValues !== true && typeof descriptor?.normalizer === 'function') {
+    return descriptor.normalizer(element);
+  }
+
+  return typeof descriptor?.getter === 'function' ? descriptor.getter(element) : element[descriptor.property];
+};
+
+/**
+ * Converts an element into an object with stable field names, i.e. the keys of the property mappings.
+ * Values are normalized unless raw values are requested. Missing values are set to `null`.
+ *
+ * @param {Object} element - The element to convert.
+ * @param {string} dataType - The type of data being processed.
+ * @param {boolean} isRawValues - A flag indicating whether to keep raw values as returned by the server.
+ * @returns {Object} The converted element.
+ */
+const normalizeElement = function (element, dataType, isRawValues) {
+  const normalizedElement = {};
+
+  for (const [key, value] of Object.entries(MAPS[dataType])) {
+    normalizedElement[key] = getFieldValue(value, element, isRawValues) ?? null;
+  }
+
+  return normalizedElement;
+};
+
+/**
+ * Gets the property mappings of columns to be shown in tables and delimiter-separated formats.
+ * If no columns are selected, the columns flagged with `table.include` are used. Unknown column keys are ignored.
+ *
+ * @param {string} dataType - The type of data being processed.
+ * @param {string|string[]} [columns] - The selected column keys, either as an array or as a comma-separated string.
+ * @returns {Object[]} The property mappings of the columns, in the selected order.
+ */
+const getColumns = function (dataType, columns) {
+  const columnKeys = typeof columns === 'string' ? columns.split(',').map((key) => key.trim()).filter((key) => key.length > 0) : (columns ?? []);
+
+  const selectedColumns = columnKeys.length === 0
+    ? Object.values(MAPS[dataType]).filter((value) => value?.table?.include === true)
+    : columnKeys.filter((key) => key in MAPS[dataType]).map((key) => MAPS[dataType][key]);
+
+  // NOTE: Merged responses of multiple servers are ambiguous without the server column
+  if (mergedProfiles.length > 0 && 'server' in MAPS[dataType] && !selectedColumns.includes(MAPS[dataType].server)) {
+    selectedColumns.unshift(MAPS[dataType].server);
+  }
+
+  return selectedColumns;
+};
+
+/**
+ * Extends the default columns with extra columns, e.g. columns computed for a specific command. Selected columns are returned unchanged.
+ *
+ * @param {string} dataType - The type of data being processed.
+ * @param {string|string[]} [columns] - The selected column keys, either as an array or as a comma-separated string.
+ * @param {string[]} extraKeys - The keys of the extra columns.
+ * @returns {string|string[]} The column keys.
+ */
+const extendDefaultColumns = function (dataType, columns, extraKeys) {
+  if ((typeof columns === 'string' ? columns.trim() : (columns ?? [])).length > 0) {
+    return columns;
+  }
+
+  return [...Object.keys(MAPS[dataType]).filter((key) => MAPS[dataType][key].table?.include === true), ...extraKeys];
+};
+
+/**
+ * Prints the columns available for the specified type of data and exits.
+ *
+ * @param {string} dataType - The type of data being processed.
+ */
+const printColumns = function (dataType) {
+  const table = new Table().padding(1).border(true);
+  const defaultColumns = getColumns(dataType);
+
+  for (const [key, value] of Object.entries(MAPS[dataType])) {
+    table.push([key, value?.header ?? '', defaultColumns.includes(value) ? 'yes' : 'no']);
+  }
+
+  table.header(['Column', 'Header', 'Default']);
+  table.render();
+  Deno.exit(0);
+};
+
+/**
+ * Converts an array of field values into a single line of delimiter-separated values.
+ * CSV fields are quoted according to RFC 4180. TSV fields cannot be quoted, so tabs and line breaks are replaced with spaces.
+ *
+ * @param {Array} fields - The field values.
+ * @param {string} outputFormat - The output format, either 'csv' or 'tsv'.
+ * @returns {string} The formatted line, without a line break.
+ */
+const formatDelimitedLine = function (fields, outputFormat) {
+  return fields.map((field) => {
+    const text = typeof field === 'object' && field !== null ? JSON.stringify(field) : String(field ?? '');
+
+    if (outputFormat === 'tsv') {
+      return text.replace(/[\t\r\n]+/g, ' ');
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  }).join(outputFormat === 'tsv' ? '\t' : ',');
+};
+
+/**
+ * Creates a table with normalized values of the specified columns.
+ *
+ * @param {Array} data - The data to put in the table.
+ * @param {string} dataType - The type of data being processed.
+ * @param {(string|string[])} [columns] - The column keys, empty means default columns.
+ * @param {Function} [getRowStyle] - Returns a style function (e.g. a color) applied to all cells of the element's row, or `undefined`.
+ * @returns {Table} The table.
+ */
+const createTable = function (data, dataType, columns, getRowStyle) {
+  const table = new Table().padding(1).border(true);
+  const tableColumns = getColumns(dataType, columns);
+
+  for (const [columnIndex, value] of tableColumns.entries()) {
+    if (value.table?.minWidth > 0) {
+      table.column(columnIndex, { minWidth: value.table.minWidth });
+    }
+    if (value.table?.maxWidth) {
+      table.column(columnIndex, { maxWidth: value.table.maxWidth });
+    }
+  }
+
+  if (tableColumns.length > 0) {
+    for (const element of data) {
+      const rowStyle = getRowStyle?.(element);
+      table.push(tableColumns.map((value) => (typeof rowStyle === 'function' ? rowStyle(String(getFieldValue(value, element, false))) : getFieldValue(value, element, false))));
+    }
+  }
+
+  table.header(tableColumns.map((value) => value?.header ?? ''));
+
+  return table;
+};
+
+/**
+ * Prints data to the console based on the specified format.
+ *
+ * @param {Array} data - The data to print.
+ * @param {string} dataType - The type of data being processed.
+ * @param {string} outputFormat - The output format.
+ * @param {object} [commandOptions] - The options for the command.
+ */
+const printData = function (data, dataType, outputFormat, commandOptions) {
+  switch (outputFormat) {
+    case 'list': // NOTE: falls through
+    case 'raw':
+      // deno-lint-ignore no-console
+      console.log(data);
+      break;
+    case 'number':
+      // deno-lint-ignore no-console
+      console.log(data.length);
+      break;
+    case 'json':
+      // deno-lint-ignore no-console
+      console.log(JSON.stringify(data.map((element) => normalizeElement(element, dataType, commandOptions?.rawValues)), null, 2));
+      break;
+    case 'ndjson':
+      for (const element of data) {
+        // deno-lint-ignore no-console
+        console.log(JSON.stringify(normalizeElement(element, dataType, commandOptions?.rawValues)));
+      }
+      break;
+    case 'csv': // NOTE: falls through
+    case 'tsv': {
+      const columns = getColumns(dataType, commandOptions?.columns);
+      const lines = [formatDelimitedLine(columns.map((value) => value.header), outputFormat)];
+
+      for (const element of data) {
+        lines.push(formatDelimitedLine(columns.map((value) => getFieldValue(value, element, commandOptions?.rawValues)), outputFormat));
+      }
+
+      // NOTE: RFC 4180 requires CRLF line breaks for CSV
+      const lineBreak = outputFormat === 'csv' ? '\r\n' : '\n';
+      const bytes = new TextEncoder().encode(lines.join(lineBreak) + lineBreak);
+      let bytesWritten = 0;
+      while (bytesWritten < bytes.length) {
+        bytesWritten += Deno.stdout.writeSync(bytes.subarray(bytesWritten));
+      }
+      break;
+    }
+    case 'table':
+      if (data.length > 0) {
+        createTable(data, dataType, commandOptions?.columns).render();
+      }
+      break;
+    case 'html': {
+      const { headers, rows, rowColors } = getTableContent(data, dataType, commandOptions?.columns);
+      // deno-lint-ignore no-console
+      console.log(renderHtmlDocument('urbstat', renderHtmlTable(headers, rows, rowColors)));
+      break;
+    }
+    case 'markdown': {
+      const { headers, rows } = getTableContent(data, dataType, commandOptions?.columns);
+      // deno-lint-ignore no-console
+      console.log(renderMarkdownTable(headers, rows));
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+/**
+ * Computes numeric metrics of a single client, suitable for monitoring systems.
+ * Ages are expressed in seconds, -1 means that the event never happened. Flags are expressed as 1 (true) or 0 (false).
+ *
+ * @param {Object} client - The client element of the status response.
+ * @param {Object} [usageItem] - The usage element of the same client.
+ * @param {number} currentEpochTime - The current time in seconds since the Unix epoch.
+ * @returns {Object} The client metrics.
+ */
+const getClientMetrics = function (client, usageItem, currentEpochTime) {
+  const getAge = (timestamp) => (timestamp > 0 ? currentEpochTime - timestamp : -1);
+
+  return {
+    id: client[MAPS.client.id.property],
+    group: client[MAPS.client.groupName.property] ?? '',
+    online: client[MAPS.client.isOnline.property] === true ? 1 : 0,
+    active: client[MAPS.client.activity.property] === 0 ? 0 : 1,
+    fileOk: client[MAPS.client.statusFile.property] === true ? 1 : 0,
+    fileIssues: client[MAPS.client.issuesFile.property] ?? 0,
+    fileDisabled: client[MAPS.client.isFileDisabled.property] === true ? 1 : 0,
+    imageOk: client[MAPS.client.statusImage.property] === true ? 1 : 0,
+    imageDisabled: client[MAPS.client.isImageDisabled.property] === true ? 1 : 0,
+    lastFileAge: getAge(client[MAPS.client.lastFile.property]),
+    lastImageAge: getAge(client[MAPS.client.lastImage.property]),
+    lastSeenAge: getAge(client[MAPS.client.lastSeen.property]),
+    fileBytes: usageItem?.[MAPS.usage.file.property] ?? 0,
+    imageBytes: usageItem?.[MAPS.usage.image.property] ?? 0,
+    usedBytes: usageItem?.[MAPS.usage.used.property] ?? 0,
+  };
+};
+
+/**
+ * Renders metric families of the gauge type in the OpenMetrics text format.
+ *
+ * @param {Object[]} metricFamilies - The metric families, each with `name`, `help` and `samples` properties. Each sample has optional `labels` and a `value`.
+ * @returns {string} The OpenMetrics exposition, including the terminating `# EOF` line.
+ */
+const formatOpenMetrics = function (metricFamilies) {
+  const escapeLabelValue = (text) => String(text).replaceAll('\\', '\\\\').replaceAll('"', '\\"').replaceAll('\n', '\\n');
+  const lines = [];
+
+  for (const metricFamily of metricFamilies) {
+    lines.push(`# TYPE ${metricFamily.name} gauge`);
+    lines.push(`# HELP ${metricFamily.name} ${metricFamily.help}`);
+
+    for (const sample of metricFamily.samples) {
+      const labels = Object.entries(sample.labels ?? {}).map(([labelName, labelValue]) => `${labelName}="${escapeLabelValue(labelValue)}"`);
+      lines.push(`${metricFamily.name}${labels.length > 0 ? `{${labels.join(',')}}` : ''} ${sample.value}`);
+    }
+  }
+
+  lines.push('# EOF');
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Parses a size, either a number of bytes or a number followed by a unit, e.g. "500GB" or "1.5 TB". Units are powers of 1024, as in the output of sizes.
+ *
+ * @param {string} text - The size.
+ * @returns {number} The number of bytes, `NaN` if the size is invalid.
+ */
+const parseSize = function (text) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  const sizeMatch = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([KMGTP]?B)?$/i);
+
+  return sizeMatch === null ? NaN : Math.round(Number(sizeMatch[1]) * Math.pow(1024, units.indexOf((sizeMatch[2] ?? 'B').toUpperCase())));
+};
+
+/**
+ * Adds the shares of the total file, image and overall storage usage, in percent, to usage elements.
+ *
+ * @param {Object[]} usageItems - The usage elements, either of clients or of groups.
+ * @returns {Object[]} Copies of the usage elements with the shares added.
+ */
+const addUsageShares = function (usageItems) {
+  const shares = [['file', 'filePercent'], ['image', 'imagePercent'], ['used', 'usedPercent']].map(([key, shareKey]) => {
+    const property = MAPS.usage[key].property;
+    return { property: property, shareProperty: MAPS.usage[shareKey].property, total: usageItems.reduce((total, usageItem) => total + usageItem[property], 0) };
+  });
+
+  return usageItems.map((usageItem) => {
+    const sharedItem = { ...usageItem };
+    for (const { property, shareProperty, total } of shares) {
+      sharedItem[shareProperty] = total > 0 ? (usageItem[property] / total) * 100 : 0;
+    }
+    return sharedItem;
+  });
+};
+
+/**
+ * Aggregates usage of clients by client group. Clients are matched by name and, for merged responses, by server.
+ * Usage of clients that are not known to the server, e.g. removed clients with remaining backups, is aggregated with a `null` group name.
+ *
+ * @param {Object[]} usageItems - The usage elements of clients.
+ * @param {Object[]} clients - The client elements of the status response.
+ * @returns {Object[]} The usage elements of groups, with the number of clients.
+ */
+const aggregateUsageByGroup = function (usageItems, clients) {
+  const serverProperty = MAPS.client.server.property;
+  const getKey = (element) => JSON.stringify([element[serverProperty] ?? null, element[MAPS.client.name.property]]);
+  const clientGroups = new Map(clients.map((client) => [getKey(client), client[MAPS.client.groupName.property]]));
+  const groups = new Map();
+
+  for (const usageItem of usageItems) {
+    const groupName = clientGroups.get(getKey(usageItem)) ?? null;
+    const groupKey = JSON.stringify([usageItem[serverProperty] ?? null, groupName]);
+
+    if (!groups.has(groupKey)) {
+      const group = { [MAPS.usageGroup.groupName.property]: groupName, [MAPS.usageGroup.clients.property]: 0 };
+      for (const key of ['file', 'image', 'used']) {
+        group[MAPS.usageGroup[key].property] = 0;
+      }
+      if (serverProperty in usageItem) {
+        group[serverProperty] = usageItem[serverProperty];
+      }
+      groups.set(groupKey, group);
+    }
+
+    const group = groups.get(groupKey);
+    group[MAPS.usageGroup.clients.property] += 1;
+    for (const key of ['file', 'image', 'used']) {
+      group[MAPS.usageGroup[key].property] += usageItem[MAPS.usage[key].property];
+    }
+  }
+
+  return [...groups.values()];
+};
+
+/**
+ * Sums usage elements into a totals element, shown in the footer of usage tables.
+ *
+ * @param {Object[]} usageItems - The usage elements, either of clients or of groups.
+ * @param {string} dataType - The type of data being processed, either 'usage' or 'usageGroup'.
+ * @returns {Object} The totals element, labelled 'Total'.
+ */
+const getUsageTotals = function (usageItems, dataType) {
+  const labelProperty = dataType === 'usageGroup' ? MAPS.usageGroup.groupName.property : MAPS.usage.clientName.property;
+  const totals = { [labelProperty]: 'Total' };
+
+  for (const key of ['clients', 'file', 'image', 'used', 'filePercent', 'imagePercent', 'usedPercent'].filter((key) => key in MAPS[dataType])) {
+    const property = MAPS[dataType][key].property;
+    totals[property] = usageItems.reduce((total, usageItem) => total + (usageItem[property] ?? 0), 0);
+  }
+
+  return totals;
+};
+
+/**
+ * Gets the directory of data kept between runs, such as snapshots. Defaults to `$XDG_DATA_HOME/urbstat` (`~/.local/share/urbstat` if not set),
+ * or to `./urbstat-data` if neither variable is available.
+ *
+ * @returns {string} The path of the data directory.
+ */
+const getDataDirectory = function () {
+  const dataDirectory = String(getSettings('URBSTAT_DATA_DIR'));
+  if (dataDirectory.length > 0) {
+    return dataDirectory;
+  }
+
+  const dataHome = getEnvironmentVariable('XDG_DATA_HOME') || (getEnvironmentVariable('HOME') ? `${getEnvironmentVariable('HOME')}/.local/share` : '');
+
+  return dataHome.length > 0 ? `${dataHome}/urbstat` : './urbstat-data';
+};
+
+/**
+ * Gets the name of the subdirectory of the data directory for the selected server, so that data of different servers is kept apart.
+ *
+ * @param {Object} commandOptions - The command options.
+ * @returns {string} The lowercase profile name, 'all-profiles' for merged results of all profiles or 'default' if no profile is selected.
+ */
+const getProfileDirectoryName = function (commandOptions) {
+  if (commandOptions?.allProfiles === true) {
+    return 'all-profiles';
+  }
+
+  return typeof commandOptions?.profile === 'string' ? commandOptions.profile.toLowerCase().replace(/[^\w-]/g, '_') : 'default';
+};
+
+/**
+ * Gets the directory of snapshots of the selected server.
+ *
+ * @param {Object} commandOptions - The command options.
+ * @returns {string} The path of the snapshot directory.
+ */
+const getSnapshotDirectory = (commandOptions) => `${getDataDirectory()}/snapshots/${getProfileDirectoryName(commandOptions)}`;
+
+/**
+ * Matches names of snapshot files, i.e. UTC timestamps with colons replaced by hyphens for portability, e.g. `2024-05-01T06-00-00Z.json`.
+ */
+const snapshotFilePattern = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})Z\.json$/;
+
+/**
+ * Lists snapshot files in a directory, oldest first. Other files are ignored.
+ *
+ * @param {string} directory - The snapshot directory.
+ * @returns {Promise<Object[]>} The snapshot files, each with `path` and `time` (seconds since the Unix epoch) properties. Empty if the directory does not exist.
+ * @throws {Error} If the directory cannot be read.
+ */
+const listSnapshotFiles = async function (directory) {
+  const files = [];
+
+  try {
+    for await (const entry of Deno.readDir(directory)) {
+      const nameMatch = entry.isFile ? entry.name.match(snapshotFilePattern) : null;
+      if (nameMatch !== null) {
+        files.push({ path: `${directory}/${entry.name}`, time: Date.parse(`${nameMatch[1]}T${nameMatch[2]}:${nameMatch[3]}:${nameMatch[4]}Z`) / 1000 });
+      }
+    }
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) {
+      return [];
+    }
+    throw new Error(`error: Cannot read snapshot directory "${directory}": ${error.message}`);
+  }
+
+  return files.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Saves a snapshot to a directory, then deletes snapshots older than the retention period.
+ *
+ * @param {string} directory - The snapshot directory, created if needed.
+ * @param {Object} snapshot - The snapshot, its `time` property gives the file name.
+ * @param {number} retentionDays - The retention period in days, 0 keeps all snapshots.
+ * @returns {Promise<Object>} The `path` of the saved snapshot and the number of `deleted` snapshots.
+ * @throws {Error} If the snapshot cannot be saved or old snapshots cannot be deleted.
+ */
+const saveSnapshot = async function (directory, snapshot, retentionDays) {
+  const path = `${directory}/${new Date(snapshot.time * 1000).toISOString().slice(0, 19).replaceAll(':', '-')}Z.json`;
+
+  try {
+    await Deno.mkdir(directory, { recursive: true });
+    await Deno.writeTextFile(path, JSON.stringify(snapshot));
+  } catch (error) {
+    throw new Error(`error: Cannot save snapshot "${path}": ${error.message}`);
+  }
+
+  const expiredFiles = retentionDays > 0 ? (await listSnapshotFiles(directory)).filter((file) => file.time < snapshot.time - retentionDays * 86400) : [];
+
+  try {
+    await Promise.all(expiredFiles.map((file) => Deno.remove(file.path)));
+  } catch (error) {
+    throw new Error(`error: Cannot delete old snapshots: ${error.message}`);
+  }
+
+  return { path: path, deleted: expiredFiles.length };
+};
+
+/**
+ * Reads snapshots taken since the specified time, oldest first. Files that cannot be parsed are skipped with a warning.
+ *
+ * @param {string} directory - The snapshot directory.
+ * @param {number} sinceTime - The start of the period in seconds since the Unix epoch.
+ * @returns {Promise<Object[]>} The snapshots.
+ * @throws {Error} If the directory cannot be read.
+ */
+const readSnapshots = async function (directory, sinceTime) {
+  const files = (await listSnapshotFiles(directory)).filter((file) => file.time >= sinceTime);
+  const results = await Promise.allSettled(files.map((file) => Deno.readTextFile(file.path).then((text) => JSON.parse(text))));
+  const snapshots = [];
+
+  for (const [index, result] of results.entries()) {
+    if (result.status === 'fulfilled' && Array.isArray(result.value?.status) && typeof result.value?.time === 'number') {
+      snapshots.push(result.value);
+    } else {
+      // deno-lint-ignore no-console
+      console.error(cliTheme.warning(`warning: Skipping invalid snapshot "${files[index].path}"`));
+    }
+  }
+
+  return snapshots;
+};
+
+/**
+ * Estimates the rate of change of a value with a least-squares linear fit.
+ *
+ * @param {number[][]} points - The measurements, each a pair of time in seconds since the Unix epoch and value.
+ * @returns {number|null} The change per day, `null` if there are fewer than two distinct measurement times.
+ */
+const getDailyRate = function (points) {
+  const getMean = (index) => points.reduce((total, point) => total + point[index], 0) / points.length;
+  const meanTime = getMean(0);
+  const meanValue = getMean(1);
+  let covariance = 0;
+  let variance = 0;
+
+  for (const [time, value] of points) {
+    covariance += (time - meanTime) * (value - meanValue);
+    variance += (time - meanTime) ** 2;
+  }
+
+  return variance > 0 ? (covariance / variance) * 86400 : null;
+};
+
+/**
+ * Computes trends of clients present in the latest snapshot, and of the total used storage.
+ * The success rate is the share of snapshots in which the client was not failed, see `isFailedClient`. Backups, with their average duration and size,
+ * are counted from last activities started within the period, de-duplicated across snapshots. Deletions and restores are not counted as backups.
+ *
+ * @param {Object[]} snapshots - The snapshots, oldest first.
+ * @param {number} sinceTime - The start of the period in seconds since the Unix epoch.
+ * @param {Object} matchOptions - The options of `isFailedClient`.
+ * @returns {Object} The trend elements of `clients`, and the `used` storage with its `growthPerDay` as `storage`.
+ */
+const computeTrends = function (snapshots, sinceTime, matchOptions) {
+  const isRemoved = (client) => client[MAPS.client.toRemove.property] === '1';
+  const lastActivities = new Map();
+
+  for (const snapshot of snapshots) {
+    for (const activity of snapshot.lastActivities ?? []) {
+      lastActivities.set(activity[MAPS.activityLast.id.property], activity);
+    }
+  }
+
+  const backups = [...lastActivities.values()].filter((activity) =>
+    activity[MAPS.activityLast.startingTime.property] >= sinceTime && activity[MAPS.activityLast.delete.property] !== true && !(activity[MAPS.activityLast.restore.property] > 0)
+  );
+
+  const clients = snapshots.at(-1).status.filter((client) => !isRemoved(client)).map((client) => {
+    const clientName = client[MAPS.client.name.property];
+    const usagePoints = snapshots.flatMap((snapshot) =>
+      (snapshot.usage ?? []).filter((usageItem) => usageItem[MAPS.usage.clientName.property] === clientName).map((usageItem) => [snapshot.time, usageItem[MAPS.usage.used.property]])
+    );
+    const clientStates = snapshots.flatMap((snapshot) => snapshot.status.filter((element) => element[MAPS.client.name.property] === clientName && !isRemoved(element)));
+    const clientBackups = backups.filter((activity) => activity[MAPS.activityLast.clientName.property] === clientName);
+    const getAverage = (property) => {
+      const values = clientBackups.map((activity) => activity[property]).filter((value) => typeof value === 'number' && value >= 0);
+      return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+    };
+
+    return {
+      [MAPS.trend.clientName.property]: clientName,
+      [MAPS.trend.used.property]: usagePoints.at(-1)?.[1] ?? 0,
+      [MAPS.trend.growth.property]: usagePoints.length > 0 ? usagePoints.at(-1)[1] - usagePoints[0][1] : 0,
+      [MAPS.trend.growthPerDay.property]: getDailyRate(usagePoints),
+      [MAPS.trend.successRate.property]: clientStates.length > 0 ? clientStates.filter((element) => !isFailedClient(element, matchOptions)).length / clientStates.length : null,
+      [MAPS.trend.snapshots.property]: clientStates.length,
+      [MAPS.trend.backups.property]: clientBackups.length,
+      [MAPS.trend.averageDuration.property]: getAverage(MAPS.activityLast.duration.property),
+      [MAPS.trend.averageSize.property]: getAverage(MAPS.activityLast.size.property),
+    };
+  });
+
+  const usedPoints = snapshots.map((snapshot) => [snapshot.time, (snapshot.usage ?? []).reduce((total, usageItem) => total + usageItem[MAPS.usage.used.property], 0)]);
+
+  return { clients: clients, storage: { used: usedPoints.at(-1)[1], growthPerDay: getDailyRate(usedPoints) } };
+};
+
+/**
+ * Gets the key identifying a client in lists of clients. Client names are unique per server only.
+ *
+ * @param {Object} client - The client element of the status response.
+ * @returns {string} The key.
+ */
+const getClientKey = function (client) {
+  return JSON.stringify([client[MAPS.client.server.property] ?? null, client[MAPS.client.name.property]]);
+};
+
+/**
+ * Client-list commands listing problems. Clients leaving these lists are reported as 'recovered' by `compareWithLastRun`.
+ */
+const problemCommands = ['blank-clients', 'failed-clients', 'outdated-clients', 'stale-clients', 'unseen-clients'];
+
+/**
+ * Command options narrowing down the clients of client-list commands. Results of runs with different values are saved separately by `compareWithLastRun`.
+ */
+const listOptionKeys = ['groupName', 'filter', 'exclude', 'excludeFile', 'skipFile', 'skipImage', 'skipBlank', 'strict', 'threshold', 'staleThreshold', 'unseenThreshold', 'ignorePolicies'];
+
+/**
+ * Gets the file name of the saved result of a client-list command, including a hash of the command options narrowing down its clients and of the threshold policies.
+ *
+ * @param {string} commandName - The name of the client-list command.
+ * @param {Object} commandOptions - The command options.
+ * @returns {Promise<string>} The file name, e.g. `failed-clients-3f1a2b4c5d6e.json`.
+ */
+const getStateFileName = async function (commandName, commandOptions) {
+  const listOptions = listOptionKeys.map((key) => [key, commandOptions?.[key] ?? null]);
+  listOptions.push(['policies', commandOptions?.ignorePolicies === true ? null : getSettings('URBSTAT_THRESHOLD_POLICIES') ?? null]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(listOptions)));
+  const hash = Array.from(new Uint8Array(digest).slice(0, 6), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+  return `${commandName}-${hash}.json`;
+};
+
+/**
+ * Compares clients of a client-list command with the result of its last run. The current result is saved for the next run only when the returned `save` function is called,
+ * so that callers can skip saving when the changes were not delivered, e.g. on a failed notification.
+ * Clients entering the list are 'new', or 'appeared' if they were not known at all in the last run. Clients leaving the list are 'recovered' from problems,
+ * 'left' other lists, or 'disappeared' if they are not known anymore, e.g. when removed from the server. Known clients are those of the 'all-clients' response.
+ * Results are saved per command, server and filtering options in the `state` subdirectory of the data directory, see `getStateFileName`.
+ * The first run, or a run after an unreadable result, has no changes.
+ *
+ * @param {string} commandName - The name of the client-list command.
+ * @param {Object[]} clients - The clients of the current run.
+ * @param {Object} commandOptions - The command options.
+ * @param {string} [namespace] - The subdirectory keeping results apart from those of client-list commands, e.g. 'notify'.
+ * @returns {Promise<{changes: Object[], save: function(): Promise<void>}>} Copies of changed clients, tagged with the change, and the function saving the current result.
+ * Clients that left the list are taken from the last run.
+ * @throws {Error} If the result cannot be read. The `save` function throws if the result cannot be saved.
+ */
+const compareWithLastRun = async function (commandName, clients, commandOptions, namespace) {
+  const directory = [getDataDirectory(), 'state', getProfileDirectoryName(commandOptions), namespace].filter((part) => typeof part === 'string').join('/');
+  const path = `${directory}/${await getStateFileName(commandName, commandOptions)}`;
+  const knownKeys = allClientsResponse.map(getClientKey);
+  let lastRun = null;
+
+  try {
+    lastRun = JSON.parse(await Deno.readTextFile(path));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      // deno-lint-ignore no-console
+      console.error(cliTheme.warning(`warning: Ignoring unreadable last run "${path}"`));
+    } else if (!(error instanceof Deno.errors.NotFound)) {
+      throw new Error(`error: Cannot read last run "${path}": ${error.message}`);
+    }
+  }
+
+  const save = async function () {
+    try {
+      await Deno.mkdir(directory, { recursive: true });
+      await Deno.writeTextFile(path, JSON.stringify({ version: 1, time: Math.round(Date.now() / 1000), clients: clients, knownKeys: knownKeys }));
+    } catch (error) {
+      throw new Error(`error: Cannot save result "${path}": ${error.message}`);
+    }
+  };
+
+  if (!Array.isArray(lastRun?.clients) || !Array.isArray(lastRun?.knownKeys)) {
+    // deno-lint-ignore no-console
+    console.error(cliTheme.information('No last run to compare with.'));
+    return { changes: [], save: save };
+  }
+
+  const lastKeys = new Set(lastRun.clients.map(getClientKey));
+  const lastKnownKeys = new Set(lastRun.knownKeys);
+  const currentKeys = new Set(clients.map(getClientKey));
+  const currentKnownKeys = new Set(knownKeys);
+  const tagClient = (client, change) => ({ ...client, [MAPS.client.change.property]: change });
+
+  const changes = [
+    ...clients.filter((client) => !lastKeys.has(getClientKey(client))).map((client) => tagClient(client, lastKnownKeys.has(getClientKey(client)) ? 'new' : 'appeared')),
+    ...lastRun.clients.filter((client) => !currentKeys.has(getClientKey(client))).map((client) => {
+      if (!currentKnownKeys.has(getClientKey(client))) {
+        return tagClient(client, 'disappeared');
+      }
+      return tagClient(client, problemCommands.includes(commandName) ? 'recovered' : 'left');
+    }),
+  ];
+
+  return { changes: changes, save: save };
+};
+
+/**
+ * Copies clients with the stale and unseen thresholds applied to them by the last fetch, see `MAPS.thresholdClient`.
+ * Clients are returned as-is for the 'raw' format.
+ *
+ * @param {Object[]} clients - The clients.
+ * @param {string} outputFormat - The output format.
+ * @returns {Object[]} The clients with thresholds.
+ */
+const addAppliedThresholds = function (clients, outputFormat) {
+  if (outputFormat === 'raw') {
+    return clients;
+  }
+
+  return clients.map((client) => {
+    const thresholds = appliedThresholds.get(client);
+    return {
+      ...client,
+      [MAPS.thresholdClient.thresholdStaleFile.property]: thresholds?.staleFile ?? null,
+      [MAPS.thresholdClient.thresholdStaleImage.property]: thresholds?.staleImage ?? null,
+      [MAPS.thresholdClient.thresholdUnseen.property]: thresholds?.unseen ?? null,
+      [MAPS.thresholdClient.thresholdPolicy.property]: thresholds?.policy ?? null,
+    };
+  });
+};
+
+/**
+ * Puts the 'change' column in front of the selected columns of clients, for changes returned by `compareWithLastRun`.
+ *
+ * @param {string|string[]} [columns] - The selected column keys, either as an array or as a comma-separated string, empty means default columns.
+ * @param {string} [dataType='client'] - The type of client data, either 'client' or 'thresholdClient'.
+ * @returns {string[]} The column keys.
+ */
+const addChangeColumn = function (columns, dataType = 'client') {
+  const columnKeys = getColumns(dataType, columns).map((descriptor) => Object.keys(MAPS[dataType]).find((key) => MAPS[dataType][key] === descriptor));
+
+  return ['change', ...columnKeys.filter((key) => key !== 'change')];
+};
+
+/**
+ * Sorts, limits and prints clients of a client-list command. With the `sinceLast` command option only changes since the last run are printed,
+ * see `compareWithLastRun`, and the `exitCode` command option makes the process exit with code 3 if any client is new or appeared.
+ *
+ * @param {string} commandName - The name of the client-list command.
+ * @param {Object[]} clients - The clients.
+ * @param {Object} commandOptions - The command options.
+ * @param {Object} [printOptions] - The options overriding command options when printing, e.g. `columns`, and the `dataType` of clients, 'client' by default.
+ * @returns {Promise<void>}
+ */
+const printClients = async function (commandName, clients, commandOptions, printOptions) {
+  const { dataType = 'client', ...overridingOptions } = printOptions ?? {};
+  const options = { ...commandOptions, ...overridingOptions };
+  let data = clients;
+
+  if (commandOptions?.sinceLast === true) {
+    try {
+      const lastRun = await compareWithLastRun(commandName, clients, commandOptions);
+      await lastRun.save();
+      data = lastRun.changes;
+    } catch (error) {
+      exitWithError(error.message);
+    }
+
+    options.columns = addChangeColumn(options.columns, dataType);
+  }
+
+  const hasNewClients = data.some((client) => ['new', 'appeared'].includes(client[MAPS.client.change.property]));
+
+  transformData(data, dataType, commandOptions);
+  printData(data, dataType, commandOptions?.format, options);
+
+  if (commandOptions?.sinceLast === true && commandOptions?.exitCode === true && hasNewClients) {
+    Deno.exit(attentionExitCode);
+  }
+};
+
+/**
+ * Reads client names piped to the standard input, e.g. from another `urbstat` command.
+ * Accepts the output of the 'json' format, as well as plain text with one name per line.
+ *
+ * @returns {Promise<string[]>} The client names, or an empty array when the standard input is a terminal.
+ * @throws {Error} If the input looks like a JSON array but cannot be parsed.
+ */
+const readPipedClientNames = async function () {
+  if (Deno.stdin.isTerminal()) {
+    return [];
+  }
+
+  const text = (await new Response(Deno.stdin.readable).text()).trim();
+
+  if (text.startsWith('[')) {
+    let elements;
+    try {
+      elements = JSON.parse(text);
+    } catch {
+      // NOTE: The 'list' format is not accepted, as it is meant for reading and truncates long arrays
+      throw new Error("error: Piped input is not valid JSON, use the 'json' format or one client name per line");
+    }
+
+    // NOTE: Elements of the 'json' format are keyed by property mappings, hence the 'name' key
+    return (Array.isArray(elements) ? elements : []).map((element) => (typeof element === 'string' ? element : element?.name)).filter((name) => typeof name === 'string');
+  }
+
+  return text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+};
+
+/**
+ * Checks whether user rights grant the specified right for a client.
+ * A right applies to all clients when its value is 'all', or to the listed clients when it is a comma-separated list of client IDs.
+ *
+ * @param {Object[]|null} rights - The rights of the user, as returned by `getUserRights`.
+ * @param {string} domain - The right domain, e.g. 'start_backup'.
+ * @param {number} clientId - The client ID.
+ * @returns {boolean} True if the right is granted.
+ */
+const hasClientRight = function (rights, domain, clientId) {
+  return (rights ?? []).some((right) =>
+    (right?.domain === domain || right?.domain === 'all') && (right?.right === 'all' || String(right?.right ?? '').split(',').map((value) => value.trim()).includes(String(clientId)))
+  );
+};
+
+/**
+ * Prints the results of operations that change the server state as a table, failed operations are highlighted.
+ *
+ * @param {string[]} header - The column headers, excluding the trailing 'Result' column.
+ * @param {Object[]} results - The results, each with `fields`, `status` and `isSuccess` properties.
+ */
+const printResults = function (header, results) {
+  if (results.length === 0) {
+    // deno-lint-ignore no-console
+    console.log(cliTheme.information('Nothing matched.'));
+    return;
+  }
+
+  const table = new Table().padding(1).border(true);
+  table.header([...header, 'Result']);
+  for (const result of results) {
+    table.push([...result.fields, result.isSuccess === true ? result.status : cliTheme.error(result.status)]);
+  }
+  table.render();
+};
+
+/**
+ * API calls required by `addClientHealth`.
+ */
+const healthCalls = ['failed-clients', 'blank-clients', 'unseen-clients', 'stale-clients'];
+
+/**
+ * Gets the health of a client, used to colour-code clients. The most severe health is returned, in the order of the return values below.
+ *
+ * @param {Object} client - The client element of the status response.
+ * @param {Object<string, Set<string>>} listedKeys - The keys of failed, blank, unseen and stale clients, see `getClientKey`.
+ * @returns {string} Either 'removed', 'failed', 'blank', 'unseen', 'stale' or 'ok'.
+ */
+const getClientHealth = function (client, listedKeys) {
+  if (client[MAPS.client.toRemove.property] === '1') {
+    return 'removed';
+  }
+
+  return ['failed', 'blank', 'unseen', 'stale'].find((health) => listedKeys[health].has(getClientKey(client))) ?? 'ok';
+};
+
+/**
+ * Copies clients with their health, see `MAPS.healthClient`. Clients are looked up in the stored lists of failed, blank, unseen and stale clients,
+ * so that the options of the command apply. These lists must be fetched with `healthCalls`.
+ *
+ * @param {Object[]} clients - The clients.
+ * @returns {Object[]} The copies of clients.
+ */
+const addClientHealth = function (clients) {
+  const listedKeys = {
+    failed: new Set(failedClientsResponse.map(getClientKey)),
+    blank: new Set(blankClientsResponse.map(getClientKey)),
+    unseen: new Set(unseenClientsResponse.map(getClientKey)),
+    stale: new Set(staleClientsResponse.map(getClientKey)),
+  };
+
+  return clients.map((client) => ({ ...client, [MAPS.healthClient.health.property]: getClientHealth(client, listedKeys) }));
+};
+
+/**
+ * Background colours of table rows for each client health.
+ */
+const healthColors = { ok: '#d1e7dd', failed: '#f8d7da', unseen: '#fff3cd', stale: '#fff3cd', blank: '#e2e3e5', removed: '#e2e3e5' };
+
+/**
+ * Gets the headers and normalized rows of a table of data, as shown by the 'table' format.
+ *
+ * @param {Array} data - The data to put in the table.
+ * @param {string} dataType - The type of data being processed.
+ * @param {(string|string[])} [columns] - The column keys, empty means default columns.
+ * @returns {Object} The `headers`, the `rows` of field values and the `rowColors`, reflecting the health of clients with health, see `addClientHealth`, and empty for other types of data.
+ */
+const getTableContent = function (data, dataType, columns) {
+  const tableColumns = getColumns(dataType, columns);
+
+  return {
+    headers: tableColumns.map((descriptor) => descriptor?.header ?? ''),
+    rows: data.map((element) => tableColumns.map((descriptor) => getFieldValue(descriptor, element, false))),
+    rowColors: dataType === 'healthClient' ? data.map((client) => healthColors[client[MAPS.healthClient.health.property]]) : [],
+  };
+};
+
+/**
+ * API calls required by the health report of the 'summary' command.
+ */
+const summaryCalls = ['all-clients', 'usage', 'activities', 'failed-clients', 'stale-clients', 'unseen-clients', 'blank-clients', 'outdated-clients'];
+
+/**
+ * Builds the health report of the 'summary' command from the stored responses of `summaryCalls`.
+ *
+ * @returns {Object} The health report: `isHealthy`, the total and the names of failed, stale, unseen, blank and outdated `clients`, current `activities` and total storage `usage`.
+ */
+const getHealthSummary = function () {
+  const getNames = (clients) => clients.map((client) => client[MAPS.client.name.property]);
+  const categories = {
+    failed: getNames(failedClientsResponse),
+    stale: getNames(staleClientsResponse),
+    unseen: getNames(unseenClientsResponse),
+    blank: getNames(blankClientsResponse),
+    outdated: getNames(outdatedClientsResponse),
+  };
+  const usageTotals = { files: 0, images: 0, used: 0 };
+  for (const usageItem of usageResponse) {
+    usageTotals.files += usageItem[MAPS.usage.file.property];
+    usageTotals.images += usageItem[MAPS.usage.image.property];
+    usageTotals.used += usageItem[MAPS.usage.used.property];
+  }
+  const pausedActivitiesCount = activitiesResponse.current.filter((activity) => activity[MAPS.activityCurrent.isPaused.property] === true).length;
+
+  const summary = {
+    isHealthy: Object.values(categories).every((clientNames) => clientNames.length === 0),
+    clients: { total: allClientsResponse.filter((client) => client[MAPS.client.toRemove.property] !== '1').length },
+    activities: { running: activitiesResponse.current.length - pausedActivitiesCount, paused: pausedActivitiesCount },
+    usage: usageTotals,
+  };
+  for (const [category, clientNames] of Object.entries(categories)) {
+    summary.clients[category] = { count: clientNames.length, clients: clientNames };
+  }
+
+  return summary;
+};
+
+/**
+ * Escapes special characters of HTML.
+ *
+ * @param {*} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeHtml = (text) => String(text ?? '').replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;').replaceAll('"', '&quot;');
+
+/**
+ * Renders a table as HTML. Styles are inline, as e-mail clients ignore style sheets.
+ *
+ * @param {string[]} headers - The column headers.
+ * @param {Array[]} rows - The rows of field values.
+ * @param {string[]} [rowColors] - The background colours of rows, missing colours mean no background.
+ * @returns {string} The HTML table.
+ */
+const renderHtmlTable = function (headers, rows, rowColors = []) {
+  const cellStyle = 'border: 1px solid #ccc; padding: 4px 8px; text-align: left';
+
+  return [
+    '<table style="border-collapse: collapse">',
+    `<tr>${headers.map((header) => `<th style="${cellStyle}; background: #eee">${escapeHtml(header)}</th>`).join('')}</tr>`,
+    ...rows.map((row, index) => {
+      const rowStyle = typeof rowColors[index] === 'string' ? ` style="background: ${rowColors[index]}"` : '';
+      return `<tr${rowStyle}>${row.map((field) => `<td style="${cellStyle}">${escapeHtml(field)}</td>`).join('')}</tr>`;
+    }),
+    '</table>',
+  ].join('\n');
+};
+
+/**
+ * Renders a self-contained HTML document.
+ *
+ * @param {string} title - The title of the document.
+ * @param {string} body - The HTML content of the body.
+ * @returns {string} The HTML document.
+ */
+const renderHtmlDocument = function (title, body) {
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(getSettings('URBSTAT_LOCALE'))}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>body { font-family: sans-serif; margin: 2em; } table { margin-bottom: 1em; }</style>',
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+  ].join('\n');
+};
+
+/**
+ * Renders a table as Markdown, using the table extension of GitHub Flavored Markdown.
+ *
+ * @param {string[]} headers - The column headers.
+ * @param {Array[]} rows - The rows of field values.
+ * @returns {string} The Markdown table.
+ */
+const renderMarkdownTable = function (headers, rows) {
+  const formatRow = (fields) => `| ${fields.map((field) => String(field ?? '').replaceAll('|', '\\|').replace(/\r?\n/g, '<br>')).join(' | ')} |`;
+
+  return [formatRow(headers), formatRow(headers.map(() => '---')), ...rows.map((row) => formatRow(row))].join('\n');
+};
+
+/**
+ * Replaces `{name}` placeholders of a template with values. Unknown placeholders are kept as they are.
+ *
+ * @param {string} template - The template.
+ * @param {Object} values - The values, keyed by placeholder name.
+ * @returns {string} The rendered text.
+ */
+const renderTemplate = (template, values) => template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+
+/**
+ * Renders a notification in the formats needed by notification channels.
+ * Templates can use the `{title}`, `{command}`, `{count}`, `{names}`, `{server}`, `{time}` and `{table}` placeholders.
+ *
+ * @param {Object} content - The content with `title`, `command`, `count`, client `names`, `server`, table `headers`, `rows` and optional `rowColors`, and `data` for webhooks.
+ * @param {string} subjectTemplate - The template of the subject.
+ * @param {string} messageTemplate - The template of the message.
+ * @returns {Object} The notification with `subject`, plain `text`, `markdown` (the table as a code block), `html`, placeholder `values` and `data` properties.
+ */
+const renderNotification = function (content, subjectTemplate, messageTemplate) {
+  const values = {
+    title: content.title,
+    command: content.command,
+    count: content.count,
+    names: content.names.length > 0 ? content.names.join(', ') : 'none',
+    server: content.server,
+    time: Formatter.formatDateTime(Math.round(Date.now() / 1000)),
+  };
+  const table = content.rows.length > 0 ? new Table().header(content.headers).body(content.rows.map((row) => row.map((field) => String(field ?? '')))).padding(1).border(true).toString() : 'none';
+  const escapedValues = Object.fromEntries(Object.entries(values).map(([name, value]) => [name, escapeHtml(value)]));
+
+  return {
+    subject: renderTemplate(subjectTemplate, values),
+    text: renderTemplate(messageTemplate, { ...values, table: table }),
+    markdown: renderTemplate(messageTemplate, { ...values, table: content.rows.length > 0 ? `\`\`\`\n${table}\n\`\`\`` : 'none' }),
+    html: renderTemplate(escapeHtml(messageTemplate).replaceAll('\n', '<br>\n'), {
+      ...escapedValues,
+      table: content.rows.length > 0 ? renderHtmlTable(content.headers, content.rows, content.rowColors) : 'none',
+    }),
+    values: values,
+    data: content.data,
+  };
+};
+
+/**
+ * Encodes text as Base64, using the UTF-8 encoding.
+ *
+ * @param {string} text - The text to encode.
+ * @returns {string} The Base64 encoded text.
+ */
+const encodeBase64 = (text) => btoa(Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join(''));
+
+/**
+ * Builds an e-mail message with plain text and HTML alternatives.
+ *
+ * @param {Object} mail - The `from` address, `to` addresses, `subject`, `text` and `html` of the message.
+ * @returns {string} The message in the Internet Message Format, with CRLF line breaks.
+ */
+const buildMailMessage = function (mail) {
+  const boundary = `urbstat-${crypto.randomUUID()}`;
+  const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${encodeBase64(value)}?=`);
+  const encodeBody = (value) => encodeBase64(value).replace(/.{1,76}/g, '$&\r\n').trimEnd();
+
+  return [
+    `From: ${mail.from}`,
+    `To: ${mail.to.join(', ')}`,
+    `Subject: ${encodeHeader(mail.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@urbstat>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(mail.text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(renderHtmlDocument(mail.subject, mail.html)),
+    `--${boundary}--`,
+  ].join('\r\n');
+};
+
+/**
+ * Sends an e-mail message using SMTP. Commands are sent one by one, without pipelining.
+ *
+ * @param {Object} smtp - The `host`, `port`, `security` ('none', 'starttls' or 'tls'), `username` and `password` of the SMTP server. Authentication is skipped without a username.
+ * @param {Object} mail - The `from` address, `to` addresses, `subject`, `text` and `html` of the message.
+ * @returns {Promise<void>}
+ * @throws {Error} If credentials would be sent over an unencrypted connection, the connection fails or the server rejects a command.
+ */
+const sendMail = async function (smtp, mail) {
+  // NOTE: AUTH PLAIN sends the credentials as they are, so it is used on encrypted connections only
+  if (smtp.security === 'none' && smtp.username.length > 0) {
+    throw new Error('credentials are not sent over an unencrypted connection, use the "starttls" or "tls" security');
+  }
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  let connection = smtp.security === 'tls' ? await Deno.connectTls({ hostname: smtp.host, port: smtp.port }) : await Deno.connect({ hostname: smtp.host, port: smtp.port });
+  let buffer = '';
+  // NOTE: Closing the connection makes a pending read fail, so that an unresponsive server does not block forever
+  const timeoutId = setTimeout(() => connection.close(), 60000);
+
+  const readReply = async () => {
+    const lines = buffer.split('\r\n');
+    const lastLineIndex = lines.slice(0, -1).findIndex((line) => /^\d{3}(?: |$)/.test(line));
+    if (lastLineIndex >= 0) {
+      buffer = lines.slice(lastLineIndex + 1).join('\r\n');
+      return { code: Number(lines[lastLineIndex].slice(0, 3)), text: lines.slice(0, lastLineIndex + 1).join(' ') };
+    }
+
+    const chunk = new Uint8Array(4096);
+    const bytesRead = await connection.read(chunk);
+    if (bytesRead === null) {
+      throw new Error('connection closed by the server');
+    }
+    buffer += decoder.decode(chunk.subarray(0, bytesRead), { stream: true });
+
+    return readReply();
+  };
+
+  const writeAll = async (bytes) => {
+    const bytesWritten = await connection.write(bytes);
+    if (bytesWritten < bytes.length) {
+      await writeAll(bytes.subarray(bytesWritten));
+    }
+  };
+
+  const sendCommand = async (command, expectedCodes) => {
+    if (command !== null) {
+      await writeAll(encoder.encode(`${command}\r\n`));
+    }
+    const reply = await readReply();
+    if (!expectedCodes.includes(reply.code)) {
+      // NOTE: Only the command verb is reported, arguments may contain credentials
+      throw new Error(`${command === null ? 'connection' : command.split(' ')[0]} rejected: ${reply.text}`);
+    }
+  };
+
+  try {
+    await sendCommand(null, [220]);
+    await sendCommand('EHLO localhost', [250]);
+    if (smtp.security === 'starttls') {
+      await sendCommand('STARTTLS', [220]);
+      connection = await Deno.startTls(connection, { hostname: smtp.host });
+      await sendCommand('EHLO localhost', [250]);
+    }
+    if (smtp.username.length > 0) {
+      await sendCommand(`AUTH PLAIN ${encodeBase64(`\0${smtp.username}\0${smtp.password}`)}`, [235]);
+    }
+    await sendCommand(`MAIL FROM:<${mail.from}>`, [250]);
+    await mail.to.reduce((previous, address) => previous.then(() => sendCommand(`RCPT TO:<${address}>`, [250, 251])), Promise.resolve());
+    await sendCommand('DATA', [354]);
+    // NOTE: Lines starting with a dot are escaped by doubling the dot
+    await sendCommand(`${buildMailMessage(mail).replace(/^\./gm, '..')}\r\n.`, [250]);
+    await sendCommand('QUIT', [221]);
+  } finally {
+    clearTimeout(timeoutId);
+    try {
+      connection.close();
+    } catch {
+      // NOTE: The connection is already closed
+    }
+  }
+};
+
+/**
+ * Sends a JSON payload to a webhook.
+ *
+ * @param {string} url - The URL of the webhook.
+ * @param {Object} payload - The payload.
+ * @param {Object} [init] - Additional request options, e.g. `method` and `headers`.
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails or the response status is not successful.
+ */
+const sendJson = async function (url, payload, init = {}) {
+  const response = await nativeFetch(url, {
+    method: 'POST',
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(60000),
+  });
+  await response.body?.cancel();
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+};
+
+/**
+ * Notification channels, each with a check whether it is configured and a function sending a rendered notification.
+ */
+const notificationChannels = {
+  email: {
+    isConfigured: () => String(getSettings('URBSTAT_NOTIFY_SMTP_HOST')).length > 0 && String(getSettings('URBSTAT_NOTIFY_EMAIL_TO')).length > 0,
+    send: (notification) =>
+      sendMail({
+        host: String(getSettings('URBSTAT_NOTIFY_SMTP_HOST')),
+        port: getSettings('URBSTAT_NOTIFY_SMTP_PORT'),
+        security: getSettings('URBSTAT_NOTIFY_SMTP_SECURITY'),
+        username: String(getSettings('URBSTAT_NOTIFY_SMTP_USERNAME')),
+        password: String(getSettings('URBSTAT_NOTIFY_SMTP_PASSWORD')),
+      }, {
+        from: String(getSettings('URBSTAT_NOTIFY_EMAIL_FROM')),
+        to: String(getSettings('URBSTAT_NOTIFY_EMAIL_TO')).split(',').map((address) => address.trim()).filter((address) => address.length > 0),
+        subject: notification.subject,
+        text: notification.text,
+        html: notification.html,
+      }),
+  },
+  webhook: {
+    isConfigured: () => String(getSettings('URBSTAT_NOTIFY_WEBHOOK_URL')).length > 0,
+    send: (notification) =>
+      sendJson(getSettings('URBSTAT_NOTIFY_WEBHOOK_URL'), {
+        subject: notification.subject,
+        message: notification.text,
+        ...notification.values,
+        data: notification.data,
+      }),
+  },
+  slack: {
+    isConfigured: () => String(getSettings('URBSTAT_NOTIFY_SLACK_URL')).length > 0,
+    // NOTE: Slack-compatible incoming webhooks, e.g. Mattermost and Rocket.Chat, accept the same payload
+    send: (notification) => sendJson(getSettings('URBSTAT_NOTIFY_SLACK_URL'), { text: `*${notification.subject}*\n${notification.markdown}` }),
+  },
+  teams: {
+    isConfigured: () => String(getSettings('URBSTAT_NOTIFY_TEAMS_URL')).length > 0,
+    send: (notification) =>
+      sendJson(getSettings('URBSTAT_NOTIFY_TEAMS_URL'), {
+        type: 'message',
+        attachments: [{
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [
+              { type: 'TextBlock', text: notification.subject, weight: 'Bolder', size: 'Medium', wrap: true },
+              { type: 'TextBlock', text: notification.text, fontType: 'Monospace', wrap: true },
+            ],
+          },
+        }],
+      }),
+  },
+  matrix: {
+    isConfigured: () => ['URBSTAT_NOTIFY_MATRIX_URL', 'URBSTAT_NOTIFY_MATRIX_ROOM', 'URBSTAT_NOTIFY_MATRIX_TOKEN'].every((key) => String(getSettings(key)).length > 0),
+    send: (notification) => {
+      const roomId = encodeURIComponent(getSettings('URBSTAT_NOTIFY_MATRIX_ROOM'));
+      const url = `${String(getSettings('URBSTAT_NOTIFY_MATRIX_URL')).replace(/\/+$/, '')}/_matrix/client/v3/rooms/${roomId}/send/m.room.message/${crypto.randomUUID()}`;
+
+      return sendJson(url, {
+        msgtype: 'm.text',
+        body: `${notification.subject}\n${notification.text}`,
+        format: 'org.matrix.custom.html',
+        formatted_body: `<strong>${escapeHtml(notification.subject)}</strong><br>\n${notification.html}`,
+      }, { method: 'PUT', headers: { Authorization: `Bearer ${getSettings('URBSTAT_NOTIFY_MATRIX_TOKEN')}` } });
+    },
+  },
+};
+
+/**
+ * Adds the options narrowing down client lists to a command: `--filter`, `--exclude` and `--exclude-file`, see `storeServerData`.
+ *
+ * @param {Command} command - The command.
+ * @returns {Command} The command with the options added.
+ */
+const addClientFilterOptions = function (command) {
+  return command
+    .option('--filter <expression:string>', 'Include only clients matching the expression, e.g. "osType=windows". Can be repeated.', { collect: true })
+    .option('--exclude <expression:string>', 'Exclude clients matching the expression, e.g. "name~^test-". Can be repeated.', { collect: true })
+    .option('--exclude-file <path:string>', 'Exclude clients listed in the file, one name per line.', { default: getSettings('URBSTAT_CLIENTS_EXCLUDE_FILE') });
+};
+
+/**
+ * Adds the options controlling how clients are matched to a command: `--ignore-policies`, `--skip-file`, `--skip-image`, `--skip-blank`, `--strict`, `--group-name`, and the client filter options.
+ *
+ * @param {Command} command - The command.
+ * @returns {Command} The command with the options added.
+ */
+const addClientMatchingOptions = function (command) {
+  return addClientFilterOptions(
+    command
+      .option('--ignore-policies', 'Ignore threshold policies, apply the time thresholds to all clients.')
+      .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
+      .option('--skip-image', 'Skip image backups when matching clients.')
+      .option('--skip-blank', 'Skip blank clients when matching failed, stale and unseen clients.')
+      .option('--strict', 'Do not treat backups finished with issues as being OK.')
+      .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  );
+};
+
+/**
+ * Adds the options of commands reporting the health of clients, i.e. `summary`, `report` and `notify`: `--stale-threshold`, `--unseen-threshold`, and the client matching options.
+ *
+ * @param {Command} command - The command.
+ * @returns {Command} The command with the options added.
+ */
+const addHealthOptions = function (command) {
+  return addClientMatchingOptions(
+    command
+      .option('--stale-threshold <minutes:integer>', 'Set time threshold in minutes for stale clients.', { default: getSettings('URBSTAT_CLIENTS_THRESHOLD_STALE') })
+      .option('--unseen-threshold <minutes:integer>', 'Set time threshold in minutes for unseen clients.', { default: getSettings('URBSTAT_CLIENTS_THRESHOLD_UNSEEN') }),
+  );
+};
+
+/**
+ * Adds the options shared by client-list commands: `--columns`, `--list-columns`, `--all-profiles`, `--since-last`, `--exit-code`, and the client filter options.
+ *
+ * @param {Command} command - The command.
+ * @param {string} dataType - The type of data listed by the command, either 'client' or 'thresholdClient'.
+ * @returns {Command} The command with the options added.
+ */
+const addClientListOptions = function (command, dataType) {
+  const columnsExample = dataType === 'thresholdClient' ? 'name,ip,thresholdPolicy' : 'name,ip,version';
+
+  return addClientFilterOptions(
+    command
+      .option(`--columns <columns:${dataType}sColumnsValues[]>`, `Select and order table columns, e.g. "${columnsExample}".`, { default: getSettings('URBSTAT_CLIENTS_COLUMNS') })
+      .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns(dataType) })
+      .option('--all-profiles', 'Query servers of all profiles and merge the results.', { conflicts: ['profile', 'url', 'user'] })
+      .option('--since-last', 'Show only changes since the last run with this option: new, appeared, recovered or left, and disappeared clients.')
+      .option('--exit-code', 'Exit with code 3 if any client is new or appeared since the last run.', { depends: ['since-last'] }),
+  );
+};
+
+/**
+ * Main command.
+ */
+const cli = await new Command()
+  .name('urbstat')
+  .version('0.18.2')
+  .description('The Missing Command-line Tool for UrBackup Server.\nDefault options, such as server address and password, are set in the `urbstat.conf` configuration file.')
+  .example('Get failed clients (uses password from configuration file)', 'urbstat failed-clients')
+  .example('Get failed clients (prompts for password)', 'urbstat failed-clients --ask-pass')
+  .example('Get failed clients of all servers defined as profiles', 'urbstat failed-clients --all-profiles')
+  .example('Get options and detailed help for a specific command', 'urbstat failed-clients --help')
+  .globalType('activitiesFormatValues', new EnumType(fallbackSettings.URBSTAT_ACTIVITIES_FORMAT.acceptedValues))
+  .globalType('backupsColumnsValues', new EnumType(fallbackSettings.URBSTAT_BACKUPS_COLUMNS.acceptedValues))
+  .globalType('backupsFormatValues', new EnumType(fallbackSettings.URBSTAT_BACKUPS_FORMAT.acceptedValues))
+  .globalType('backupsSortValues', new EnumType(fallbackSettings.URBSTAT_BACKUPS_SORT.acceptedValues))
+  .globalType('backupTypeValues', new EnumType(['full-file', 'incr-file', 'full-image', 'incr-image']))
+  .globalType('checkCategoryValues', new EnumType(['blank-clients', 'failed-clients', 'outdated-clients', 'stale-clients', 'unseen-clients']))
+  .globalType('clientFormatValues', new EnumType(fallbackSettings.URBSTAT_CLIENT_FORMAT.acceptedValues))
+  .globalType('clientsColumnsValues', new EnumType(fallbackSettings.URBSTAT_CLIENTS_COLUMNS.acceptedValues))
+  .globalType('clientsFormatValues', new EnumType(fallbackSettings.URBSTAT_CLIENTS_FORMAT.acceptedValues))
+  .globalType('clientsSortValues', new EnumType(fallbackSettings.URBSTAT_CLIENTS_SORT.acceptedValues))
+  .globalType('currentActivitiesColumnsValues', new EnumType(fallbackSettings.URBSTAT_ACTIVITIES_COLUMNS_CURRENT.acceptedValues))
+  .globalType('currentActivitiesSortValues', new EnumType(fallbackSettings.URBSTAT_ACTIVITIES_SORT_CURRENT.acceptedValues))
+  .globalType('groupsColumnsValues', new EnumType(fallbackSettings.URBSTAT_GROUPS_COLUMNS.acceptedValues))
+  .globalType('groupsFormatValues', new EnumType(fallbackSettings.URBSTAT_GROUPS_FORMAT.acceptedValues))
+  .globalType('groupsSortValues', new EnumType(fallbackSettings.URBSTAT_GROUPS_SORT.acceptedValues))
+  .globalType('lastActivitiesColumnsValues', new EnumType(fallbackSettings.URBSTAT_ACTIVITIES_COLUMNS_LAST.acceptedValues))
+  .globalType('lastActivitiesSortValues', new EnumType(fallbackSettings.URBSTAT_ACTIVITIES_SORT_LAST.acceptedValues))
+  .globalType('notifyChannelValues', new EnumType(fallbackSettings.URBSTAT_NOTIFY_CHANNELS.acceptedValues))
+  .globalType('notifySourceValues', new EnumType([...problemCommands, 'all-clients', 'ok-clients', 'removed-clients', 'online-clients', 'offline-clients', 'active-clients', 'summary']))
+  .globalType('reportFormatValues', new EnumType(fallbackSettings.URBSTAT_REPORT_FORMAT.acceptedValues))
+  .globalType('summaryFormatValues', new EnumType(fallbackSettings.URBSTAT_SUMMARY_FORMAT.acceptedValues))
+  .globalType('thresholdClientsColumnsValues', new EnumType(Object.keys(MAPS.thresholdClient)))
+  .globalType('trendsColumnsValues', new EnumType(fallbackSettings.URBSTAT_TRENDS_COLUMNS.acceptedValues))
+  .globalType('trendsFormatValues', new EnumType(fallbackSettings.URBSTAT_TRENDS_FORMAT.acceptedValues))
+  .globalType('trendsSortValues', new EnumType(fallbackSettings.URBSTAT_TRENDS_SORT.acceptedValues))
+  .globalType('usageByValues', new EnumType(['client', 'group']))
+  .globalType('usageColumnsValues', new EnumType(fallbackSettings.URBSTAT_USAGE_COLUMNS.acceptedValues))
+  .globalType('usageFormatValues', new EnumType(fallbackSettings.URBSTAT_USAGE_FORMAT.acceptedValues))
+  .globalType('usageSortValues', new EnumType(fallbackSettings.URBSTAT_USAGE_SORT.acceptedValues))
+  .globalType('usersColumnsValues', new EnumType(fallbackSettings.URBSTAT_USERS_COLUMNS.acceptedValues))
+  .globalType('usersFormatValues', new EnumType(fallbackSettings.URBSTAT_USERS_FORMAT.acceptedValues))
+  .globalType('usersSortValues', new EnumType(fallbackSettings.URBSTAT_USERS_SORT.acceptedValues))
+  .globalOption('--url <url:string>', 'Server URL.')
+  .globalOption('--user <name:string>', 'User name.')
+  .globalOption('--ask-pass', 'Ask for connection password.')
+  .globalOption('--ca-file <path:string>', 'Trust the CA certificates in the PEM file for HTTPS connections.')
+  .globalOption('--cert-fingerprint <sha256:string>', 'Require the server certificate to match the SHA-256 fingerprint, multiple fingerprints are separated by commas.')
+  .globalOption('--config <path:string>', 'Use the specified configuration file instead of searching for one.')
+  .globalOption('--profile <name:string>', 'Use connection details of the named profile from the configuration file.')
+  .action(() => {
+    cli.showHelp();
+    Deno.exit(0);
+  });
+
+/**
+ * Get raw response of 'status' API call. Matches all clients, including those marked for removal.
+ * Required rights: `status(all)`.
+ * Raw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.
+ */
+cli.command(
+  'raw-status',
+  "Gets the raw JSON response of the 'status' API call. Matches all clients, including those marked for removal.\nRequired rights: `status(all)`.\nRaw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.",
+)
+  .example('Get the raw status response', 'raw-status')
+  .action((commandOptions) => {
+    makeServerCalls(['status'], commandOptions).then(() => {
+      printData(statusResponse, '', 'raw');
+    });
+  });
+
+/**
+ * Get raw response of 'activities' API call. Matches all clients, including those marked for removal.
+ * Required rights: `progress(all)`, `lastacts(all)`.
+ * Raw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.
+ */
+cli.command(
+  'raw-activities',
+  "Gets the raw JSON response of the 'activities' API call. Matches all clients, including those marked for removal.\nRequired rights: `progress(all)`, `lastacts(all)`.\nRaw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.",
+)
+  .example('Get the raw activities response', 'raw-activities')
+  .action((commandOptions) => {
+    makeServerCalls(['activities'], commandOptions).then(() => {
+      printData(activitiesResponse, '', 'raw');
+    });
+  });
+
+/**
+ * Get raw response of 'usage' API call. Matches all clients, including those marked for removal.
+ * Required rights: `piegraph(all)`.
+ * Raw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.
+ */
+cli.command(
+  'raw-usage',
+  "Gets the raw JSON response of the 'usage' API cal. Matches all clients, including those marked for removal.\nRequired rights: `piegraph(all)`.\nRaw responses cannot be sorted or filtered. Property names and values are returned as-is from the server.",
+)
+  .example('Get the raw usage response', 'raw-usage')
+  .action((commandOptions) => {
+    makeServerCalls(['usage', commandOptions]).then(() => {
+      printData(usageResponse, '', 'raw');
+    });
+  });
+
+/**
+ * Retrieves all clients, including those marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`."
+ */
+addClientListOptions(
+  cli.command(
+    'all-clients',
+    "Retrieves all clients, including those marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+  )
+    .example('Get all clients (uses default options)', 'all-clients')
+    .example('Get the total count of all clients', 'all-clients --format "number"')
+    .example('Get all clients as a table, sorted by last file backup time', 'all-clients --format "table" --sort "file"')
+    .example('Get all clients as a list, sorted by name in reverse order', 'all-clients --format "list" --sort "name" --reverse')
+    .example('Get names of the 3 longest-unseen clients', 'all-clients --format "list" --sort "seen" --max 3')
+    .example('Get names, IP addresses and client versions of all clients', 'all-clients --format "table" --columns "name,ip,version"')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['all-clients'], commandOptions).then(async () => {
+      await printClients('all-clients', allClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves clients with an 'OK' backup status. File backups finished with issues are treated as OK by default. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+addClientListOptions(
+  cli
+    .command(
+      'ok-clients',
+      "Retrieves clients with an 'OK' backup status. File backups finished with issues are treated as OK by default. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+    )
+    .example('Get OK clients (uses default options)', 'ok-clients')
+    .example('Get the total count of OK clients', 'ok-clients --format "number"')
+    .example('Get OK clients as a table, sorted by last file backup time', 'ok-clients --format "table" --sort "file"')
+    .example('Get OK clients as a table, sorted by last image backup time, ignoring file backup status', 'ok-clients --format "table" --sort "image" --skip-file')
+    .example('Get OK clients as a list, sorted by name in reverse order', 'ok-clients --format "list" --sort "name" --reverse')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
+    .option('--skip-image', 'Skip image backups when matching clients.')
+    .option('--strict', 'Do not treat backups finished with issues as being OK.')
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['ok-clients'], commandOptions).then(async () => {
+      await printClients('ok-clients', okClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves clients running an outdated version of the UrBackup client software. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+addClientListOptions(
+  cli.command(
+    'outdated-clients',
+    "Retrieves clients running an outdated version of the UrBackup client software. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+  )
+    .example('Get outdated clients (uses default options)', 'outdated-clients')
+    .example('Get the total count of outdated clients', 'outdated-clients --format "number"')
+    .example('Get outdated clients as a table, sorted by name', 'outdated-clients --format "table" --sort "name"')
+    .example('Get outdated clients as a list, sorted by name in reverse order', 'outdated-clients --format "list" --sort "name" --reverse')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['outdated-clients'], commandOptions).then(async () => {
+      await printClients('outdated-clients', outdatedClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves clients with a 'failed' backup status or those without a recent backup (as per UrBackup Server settings). File backups finished with issues are treated as OK by default. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+addClientListOptions(
+  cli.command(
+    'failed-clients',
+    "Retrieves clients with a 'failed' backup status or those without a recent backup (as per UrBackup Server settings). File backups finished with issues are treated as OK by default. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+  )
+    .example('Get failed clients (uses default options)', 'failed-clients')
+    .example('Get the total count of failed clients', 'failed-clients --format "number"')
+    .example('Get failed clients as a table, sorted by last file backup time', 'failed-clients --format "table" --sort "file"')
+    .example('Get failed clients as a table, sorted by last image backup time, ignoring file backup status', 'failed-clients --format "table" --sort "image" --skip-file')
+    .example('Get failed clients as a list, sorted by name in reverse order', 'failed-clients --format "list" --sort "name" --reverse')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
+    .option('--skip-image', 'Skip image backups when matching clients.')
+    .option('--skip-blank', 'Skip blank clients.')
+    .option('--strict', 'Do not treat backups finished with issues as being OK.')
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['failed-clients'], commandOptions).then(async () => {
+      await printClients('failed-clients', failedClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves 'stale' clients, i.e., clients without a recent backup according to the `urbstat` configured threshold. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_THRESHOLD_POLICIES`.
+ */
+addClientListOptions(
+  cli.command(
+    'stale-clients',
+    "Retrieves 'stale' clients, i.e., clients without a recent backup according to the `urbstat` configured threshold. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_THRESHOLD_POLICIES`.",
+  )
+    .example('Get stale clients (uses default options)', 'stale-clients')
+    .example('Get the total count of stale clients', 'stale-clients --format "number"')
+    .example('Get stale clients as a table, sorted by name', 'stale-clients --format "table" --sort "name"')
+    .example('Get stale clients as a table, sorted by name, excluding blank clients', 'stale-clients --format "table" --sort "name" --skip-blank')
+    .example('Get stale clients as a table, sorted by last image backup time, considering only image backups', 'stale-clients --format "table" --sort "image" --skip-file')
+    .example('Get stale clients as a list, sorted by name in reverse order', 'stale-clients --format "list" --sort "name" --reverse')
+    .example('Get clients whose last file backup is older than 1 day (1440 minutes)', 'stale-clients --format "table" --sort "name" --threshold 1440 --skip-image')
+    .example('Get count of clients whose last image backup is older than 12 hours (720 minutes)', 'stale-clients --format "number" --threshold 720 --skip-file')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--threshold <minutes:integer>', 'Set time threshold in minutes.', { default: getSettings('URBSTAT_CLIENTS_THRESHOLD_STALE') })
+    .option('--ignore-policies', 'Ignore threshold policies, apply the time threshold to all clients.')
+    .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
+    .option('--skip-image', 'Skip image backups when matching clients.')
+    .option('--skip-blank', 'Skip blank clients.')
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'thresholdClient',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['stale-clients'], commandOptions).then(async () => {
+      const thresholdColumns = [commandOptions?.skipFile !== true && 'thresholdStaleFile', commandOptions?.skipImage !== true && 'thresholdStaleImage', 'thresholdPolicy'].filter(Boolean);
+      await printClients('stale-clients', addAppliedThresholds(staleClientsResponse, commandOptions?.format), commandOptions, {
+        dataType: 'thresholdClient',
+        columns: extendDefaultColumns('thresholdClient', commandOptions?.columns, thresholdColumns),
+      });
+    });
+  });
+
+/**
+ * Retrieves 'blank' clients, i.e., clients that have no completed backups. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+addClientListOptions(
+  cli.command(
+    'blank-clients',
+    "Retrieves 'blank' clients, i.e., clients that have no completed backups. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+  )
+    .example('Get blank clients (uses default options)', 'blank-clients')
+    .example('Get the total count of blank clients', 'blank-clients --format "number"')
+    .example('Get blank clients as a table, sorted by last seen time', 'blank-clients --format "table" --sort "seen"')
+    .example('Get blank clients as a table, sorted by name, considering only file backups', 'blank-clients --format "table" --sort "name" --skip-image')
+    .example('Get blank clients as a list, sorted by name in reverse order', 'blank-clients --format "list" --sort "name" --reverse')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--skip-file', 'Skip file backups when matching clients.', { conflicts: ['skip-image'] })
+    .option('--skip-image', 'Skip image backups when matching clients.')
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['blank-clients'], commandOptions).then(async () => {
+      await printClients('blank-clients', blankClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves 'unseen' clients, i.e., clients not seen by the server for a duration exceeding the `urbstat` configured threshold. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`.
+ */
+addClientListOptions(
+  cli
+    .command(
+      'unseen-clients',
+      "Retrieves 'unseen' clients, i.e., clients not seen by the server for a duration exceeding the `urbstat` configured threshold. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`.",
+    )
+    .example('Get unseen clients (uses default options)', 'unseen-clients')
+    .example('Get the total count of unseen clients', 'unseen-clients --format "number"')
+    .example('Get unseen clients as a table, sorted by name', 'unseen-clients --format "table" --sort "name"')
+    .example('Get unseen clients as a table, sorted by last seen time, excluding blank clients', 'unseen-clients --format "table" --sort "seen" --skip-blank')
+    .example('Get unseen clients as a list, sorted by name in reverse order', 'unseen-clients --format "list" --sort "name" --reverse')
+    .example('Get clients not seen for more than 2 days (2880 minutes)', 'unseen-clients --format "table" --sort "name" --threshold 2880')
+    .example('Get count of clients not seen for more than 12 hours (720 minutes)', 'unseen-clients --format "number" --threshold 720')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--threshold <minutes:integer>', 'Set time threshold in minutes.', { default: getSettings('URBSTAT_CLIENTS_THRESHOLD_UNSEEN') })
+    .option('--ignore-policies', 'Ignore threshold policies, apply the time threshold to all clients.')
+    .option('--skip-blank', 'Skip blank clients.')
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'thresholdClient',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['unseen-clients'], commandOptions).then(async () => {
+      await printClients('unseen-clients', addAppliedThresholds(unseenClientsResponse, commandOptions?.format), commandOptions, {
+        dataType: 'thresholdClient',
+        columns: extendDefaultColumns('thresholdClient', commandOptions?.columns, ['thresholdUnseen', 'thresholdPolicy']),
+      });
+    });
+  });
+
+/**
+ * Retrieves clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+addClientListOptions(
+  cli.command(
+    'removed-clients',
+    "Retrieves clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+  )
+    .example('Get clients marked for removal (uses default options)', 'removed-clients')
+    .example('Get the total count of clients marked for removal', 'removed-clients --format "number"')
+    .example('Get clients marked for removal as a table, sorted by name', 'removed-clients --format "table" --sort "name"')
+    .example('Get clients marked for removal as a list, sorted by name in reverse order', 'removed-clients --format "list" --sort "name" --reverse')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['removed-clients'], commandOptions).then(async () => {
+      await printClients('removed-clients', removedClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves online clients. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+addClientListOptions(
+  cli.command(
+    'online-clients',
+    "Retrieves online clients. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+  )
+    .example('Get online clients (uses default options)', 'online-clients')
+    .example('Get the total count of online clients', 'online-clients --format "number"')
+    .example('Get online clients as a table, sorted by name', 'online-clients --format "table" --sort "name"')
+    .example('Get online clients as a table, sorted by name, excluding blank clients', 'online-clients --format "table" --sort "name" --skip-blank')
+    .example('Get online clients as a list, sorted by name in reverse order', 'online-clients --format "list" --sort "name" --reverse')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--skip-blank', 'Skip blank clients.')
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['online-clients'], commandOptions).then(async () => {
+      await printClients('online-clients', onlineClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves offline clients. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+addClientListOptions(
+  cli.command(
+    'offline-clients',
+    "Retrieves offline clients. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+  )
+    .example('Get offline clients (uses default options)', 'offline-clients')
+    .example('Get the total count of offline clients', 'offline-clients --format "number"')
+    .example('Get offline clients as a table, sorted by name', 'offline-clients --format "table" --sort "name"')
+    .example('Get offline clients as a table, sorted by name, excluding blank clients', 'offline-clients --format "table" --sort "name" --skip-blank')
+    .example('Get offline clients as a list, sorted by name in reverse order', 'offline-clients --format "list" --sort "name" --reverse')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--skip-blank', 'Skip blank clients.')
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['offline-clients'], commandOptions).then(async () => {
+      await printClients('offline-clients', offlineClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves currently active clients. Excludes clients marked for removal.
+ * Required rights: `status(all)`
+ * nIf the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`
+ .*/
+addClientListOptions(
+  cli.command(
+    'active-clients',
+    "Retrieves currently active clients. Excludes clients marked for removal.\nRequired rights: `status(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_CLIENTS_FORMAT`, `URBSTAT_CLIENTS_SORT`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_LOCALE`.",
+  )
+    .example('Get currently active clients (uses default options)', 'active-clients')
+    .example('Get the total count of currently active clients', 'active-clients --format "number"')
+    .example('Get currently active clients as a table, sorted by name', 'active-clients --format "table" --sort "name"')
+    .example('Get currently active clients as a list, sorted by name in reverse order', 'active-clients --format "list" --sort "name" --reverse')
+    .option('--format <format:clientsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENTS_FORMAT') })
+    .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+    .option('--sort <field:clientsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_CLIENTS_SORT') })
+    .option('--reverse', 'Reverse the sorting order.')
+    .option('--max <number:integer>', 'Show only <number> of clients, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+    .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined }),
+  'client',
+)
+  .action((commandOptions) => {
+    makeServerCalls(['active-clients'], commandOptions).then(async () => {
+      await printClients('active-clients', activeClientsResponse, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves current activities.
+ * Required rights: `progress(all)`, `lastacts(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_ACTIVITIES_COLUMNS_CURRENT`, `URBSTAT_LOCALE`.
+ */
+cli.command(
+  'current-activities',
+  "Retrieves current activities.\nRequired rights: `progress(all)`, `lastacts(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_ACTIVITIES_COLUMNS_CURRENT`, `URBSTAT_LOCALE`.",
+)
+  .example('Get current activities (uses default options)', 'current-activities')
+  .example('Get the total count of current activities', 'current-activities --format "number"')
+  .example('Get current activities as a table, sorted by progress', 'current-activities --format "table" --sort "progress"')
+  .example('Get current activities as a table, sorted by progress, excluding paused activities', 'current-activities --format "table" --sort "progress" --skip-paused')
+  .example('Get the 3 current activities with the longest ETA, sorted descending', 'current-activities --format "table" --sort "eta" --max 3 --reverse')
+  .example("Get current activities for client 'office', sorted by ETA", 'current-activities --format "table" --sort "eta" --client-name "office"')
+  .option('--format <format:activitiesFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_ACTIVITIES_FORMAT') })
+  .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+  .option('--columns <columns:currentActivitiesColumnsValues[]>', 'Select and order table columns, e.g. "clientName,progress".', { default: getSettings('URBSTAT_ACTIVITIES_COLUMNS_CURRENT') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('activityCurrent') })
+  .option('--sort <field:currentActivitiesSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_ACTIVITIES_SORT_CURRENT') })
+  .option('--reverse', 'Reverse the sorting order. ')
+  .option('--max <number:integer>', 'Show only <number> of activities, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+  .option('--skip-paused', 'Skip paused activities.')
+  .option('--client-name <name:string>', 'Limit activities to specified client only.')
+  .option('--client-id <ID:integer>', 'Limit activities to specified client only.', { conflicts: ['client-name'] })
+  .option('--all-profiles', 'Query servers of all profiles and merge the results.', { conflicts: ['profile', 'url', 'user'] })
+  .action((commandOptions) => {
+    makeServerCalls(['activities'], commandOptions).then(() => {
+      transformData(activitiesResponse.current, 'activityCurrent', commandOptions);
+      printData(activitiesResponse.current, 'activityCurrent', commandOptions?.format, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves recently completed activities.
+ * Required rights: `progress(all)`, `lastacts(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_LAST`, `URBSTAT_ACTIVITIES_COLUMNS_LAST`, `URBSTAT_LOCALE`.
+ */
+cli.command(
+  'last-activities',
+  "Retrieves recently completed activities.\nRequired rights: `progress(all)`, `lastacts(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_LAST`, `URBSTAT_ACTIVITIES_COLUMNS_LAST`, `URBSTAT_LOCALE`.",
+)
+  .example('Get last activities (uses default options)', 'last-activities')
+  .example('Get the total count of last activities', 'last-activities --format "number"')
+  .example('Get last activities as a table, sorted by start time', 'last-activities --format "table" --sort "time"')
+  .example('Get the 3 last activities with the largest size, sorted descending', 'last-activities --format "table" --sort "size" --max 3 --reverse')
+  .example('Get the 3 last activities with the longest duration, sorted descending', 'last-activities --format "table" --sort "duration" --max 3 --reverse')
+  .example("Get last activities for client 'office', sorted by start time", 'last-activities --format "table" --sort "time" --client-name "office"')
+  .option('--format <format:activitiesFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_ACTIVITIES_FORMAT') })
+  .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+  .option('--columns <columns:lastActivitiesColumnsValues[]>', 'Select and order table columns, e.g. "clientName,startingTime,size".', { default: getSettings('URBSTAT_ACTIVITIES_COLUMNS_LAST') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('activityLast') })
+  .option('--sort <field:lastActivitiesSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_ACTIVITIES_SORT_LAST') })
+  .option('--reverse', 'Reverse the sorting order.')
+  .option('--max <number:integer>', 'Show only <number> of activities, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+  .option('--client-name <name:string>', 'Limit activities to specified client only.')
+  .option('--client-id <ID:integer>', 'Limit activities to specified client only.', { conflicts: ['client-name'] })
+  .option('--all-profiles', 'Query servers of all profiles and merge the results.', { conflicts: ['profile', 'url', 'user'] })
+  .action((commandOptions) => {
+    makeServerCalls(['activities'], commandOptions).then(() => {
+      transformData(activitiesResponse.last, 'activityLast', commandOptions);
+      printData(activitiesResponse.last, 'activityLast', commandOptions?.format, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves paused activities.
+ * Required rights: `progress(all)`, `lastacts(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_ACTIVITIES_COLUMNS_CURRENT`, `URBSTAT_LOCALE`.
+ */
+cli.command(
+  'paused-activities',
+  "Retrieves paused activities.\nRequired rights: `progress(all)`, `lastacts(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_ACTIVITIES_COLUMNS_CURRENT`, `URBSTAT_LOCALE`.",
+)
+  .example('Get paused activities (uses default options)', 'paused-activities')
+  .example('Get the total count of paused activities', 'paused-activities --format "number"')
+  .example('Get paused activities as a table, sorted by progress', 'paused-activities --format "table" --sort "progress"')
+  .example('Get the 3 paused activities with the largest size, sorted descending', 'paused-activities --format "table" --sort "size" --max 3 --reverse')
+  .example("Get paused activities for client 'office', sorted by client name", 'paused-activities --format "table" --sort "client" --client-name "office"')
+  .option('--format <format:activitiesFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_ACTIVITIES_FORMAT') })
+  .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+  .option('--columns <columns:currentActivitiesColumnsValues[]>', 'Select and order table columns, e.g. "clientName,progress".', { default: getSettings('URBSTAT_ACTIVITIES_COLUMNS_CURRENT') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('activityCurrent') })
+  .option('--sort <field:currentActivitiesSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_ACTIVITIES_SORT_CURRENT') })
+  .option('--reverse', 'Reverse the sorting order.')
+  .option('--max <number:integer>', 'Show only <number> of activities, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+  .option('--client-name <name:string>', 'Limit activities to specified client only.')
+  .option('--client-id <ID:integer>', 'Limit activities to specified client only.', { conflicts: ['client-name'] })
+  .option('--all-profiles', 'Query servers of all profiles and merge the results.', { conflicts: ['profile', 'url', 'user'] })
+  .action((commandOptions) => {
+    makeServerCalls(['paused-activities'], commandOptions).then(() => {
+      transformData(pausedActivitiesResponse, 'activityCurrent', commandOptions);
+      printData(pausedActivitiesResponse, 'activityCurrent', commandOptions?.format, commandOptions);
+    });
+  });
+
+/**
+ * Continuously refreshes current activities in place, like `top`. Activities that started, finished or stalled since the last refresh are highlighted.
+ * Required rights: `progress(all)`, `lastacts(all)`.
+ * Default options are configured using: `URBSTAT_MONITOR_INTERVAL`, `URBSTAT_MONITOR_STALL_THRESHOLD`, `URBSTAT_MONITOR_COLUMNS`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_LOCALE`.
+ */
+cli.command(
+  'monitor',
+  'Continuously refreshes current activities in place, like `top`. Activities that started, finished or stalled since the last refresh are highlighted.\nRequired rights: `progress(all)`, `lastacts(all)`.\nPress Ctrl+C to exit.\nDefault options are configured using: `URBSTAT_MONITOR_INTERVAL`, `URBSTAT_MONITOR_STALL_THRESHOLD`, `URBSTAT_MONITOR_COLUMNS`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_LOCALE`.',
+)
+  .example('Monitor current activities (uses default options)', 'monitor')
+  .example("Monitor current activities for client 'office', refreshing every 2 seconds", 'monitor --client-name "office" --interval 2')
+  .example('Monitor current activities with the longest ETA first, showing the speed history', 'monitor --sort "eta" --reverse --columns "clientName,progress,speedCurrent,speedHistory,eta"')
+  .option('--interval <seconds:integer>', 'Refresh interval in seconds.', { default: getSettings('URBSTAT_MONITOR_INTERVAL') })
+  .option('--stall-threshold <seconds:integer>', 'Mark activities without progress for <seconds> as stalled, 0 disables.', { default: getSettings('URBSTAT_MONITOR_STALL_THRESHOLD') })
+  .option('--columns <columns:currentActivitiesColumnsValues[]>', 'Select and order table columns, e.g. "clientName,progress".', { default: getSettings('URBSTAT_MONITOR_COLUMNS') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('activityCurrent') })
+  .option('--sort <field:currentActivitiesSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_ACTIVITIES_SORT_CURRENT') })
+  .option('--reverse', 'Reverse the sorting order.')
+  .option('--max <number:integer>', 'Show only <number> of activities, 0 means no limit.', { default: 0 })
+  .option('--skip-paused', 'Skip paused activities.')
   .option('--client-name <name:string>', 'Limit activities to specified client only.')
   .option('--client-id <ID:integer>', 'Limit activities to specified client only.', { conflicts: ['client-name'] })
   .action((commandOptions) => {
-    makeServerCalls(['activities'], commandOptions).then(() => {
-      transformData(activitiesResponse.last, 'activityLast', commandOptions);
-      printData(activitiesResponse.last, 'activityLast', commandOptions?.format);
+    const server = createServer(commandOptions);
+    const interval = Math.max(Number(commandOptions.interval), 1) * 1000;
+    const stallThreshold = Math.max(Number(commandOptions.stallThreshold), 0) * 1000;
+    const encoder = new TextEncoder();
+    // NOTE: Activities seen in the previous refresh, keyed by activity ID, null before the first refresh
+    let previousActivities = null;
+
+    /**
+     * Writes text to the terminal, bypassing console formatting.
+     *
+     * @param {string} text - The text, including ANSI escape sequences.
+     */
+    const writeScreen = (text) => {
+      const bytes = encoder.encode(text);
+      let bytesWritten = 0;
+      while (bytesWritten < bytes.length) {
+        bytesWritten += Deno.stdout.writeSync(bytes.subarray(bytesWritten));
+      }
+    };
+
+    // NOTE: Restore the cursor hidden during monitoring, otherwise the terminal is left without one
+    Deno.addSignalListener('SIGINT', () => {
+      writeScreen('\x1b[?25h\n');
+      Deno.exit(0);
+    });
+
+    /**
+     * Fetches current activities, compares them with the previous refresh and redraws the screen.
+     */
+    const refresh = async () => {
+      const refreshTime = Date.now();
+      const lines = [
+        colors.bold(`Current activities - refreshed at ${Formatter.formatDateTime(Math.round(refreshTime / 1000))}, every ${interval / 1000}s. Press Ctrl+C to exit.`),
+        '',
+      ];
+
+      try {
+        // NOTE: Paused activities are tracked even when skipped, so that pausing does not look like finishing
+        await fetchServerData(server, ['activities'], { ...commandOptions, skipPaused: false });
+
+        const currentActivities = new Map();
+        for (const activity of activitiesResponse.current) {
+          const activityId = activity[MAPS.activityCurrent.id.property];
+          const bytesDone = activity[MAPS.activityCurrent.bytesDone.property];
+          const previous = previousActivities?.get(activityId);
+          const lastProgressTime = previous === undefined || previous.bytesDone !== bytesDone ? refreshTime : previous.lastProgressTime;
+
+          currentActivities.set(activityId, {
+            activity: activity,
+            bytesDone: bytesDone,
+            lastProgressTime: lastProgressTime,
+            isStarted: previousActivities !== null && previous === undefined,
+            isStalled: stallThreshold > 0 && activity[MAPS.activityCurrent.isPaused.property] !== true && refreshTime - lastProgressTime >= stallThreshold,
+          });
+        }
+
+        const finishedActivities = [...(previousActivities?.values() ?? [])].filter((value) => !currentActivities.has(value.activity[MAPS.activityCurrent.id.property]));
+        previousActivities = currentActivities;
+
+        const data = activitiesResponse.current.filter((activity) => commandOptions?.skipPaused !== true || activity[MAPS.activityCurrent.isPaused.property] !== true);
+        transformData(data, 'activityCurrent', commandOptions);
+
+        if (data.length > 0) {
+          const getRowStyle = (activity) => {
+            const state = currentActivities.get(activity[MAPS.activityCurrent.id.property]);
+            if (state.isStarted === true) {
+              return colors.green;
+            } else if (state.isStalled === true) {
+              return cliTheme.warning;
+            } else {
+              return undefined;
+            }
+          };
+          lines.push(createTable(data, 'activityCurrent', commandOptions?.columns, getRowStyle).toString());
+        } else {
+          lines.push('No current activities.');
+        }
+
+        lines.push('');
+        lines.push(`${colors.green('Started')}: ${[...currentActivities.values()].filter((value) => value.isStarted).length}`);
+        lines.push(`${cliTheme.warning('Stalled')}: ${[...currentActivities.values()].filter((value) => value.isStalled).length}`);
+        lines.push(`${cliTheme.information('Finished')}: ${finishedActivities.length}`);
+        for (const { activity } of finishedActivities) {
+          lines.push(cliTheme.information(`  ${activity[MAPS.activityCurrent.clientName.property]} (activity ID ${activity[MAPS.activityCurrent.id.property]})`));
+        }
+      } catch (error) {
+        lines.push(cliTheme.error(`error: ${error?.message ?? error}`));
+      }
+
+      // NOTE: Moving the cursor home and erasing the screen in a single write keeps flicker low
+      writeScreen(`\x1b[?25l\x1b[H\x1b[2J${lines.join('\n')}\n`);
+      setTimeout(refresh, interval);
+    };
+
+    refresh();
+  });
+
+/**
+ * Retrieves storage usage statistics for clients, or aggregated by client group, with shares of the total usage. Tables end with a row of totals of the server.
+ * Required rights: `piegraph(all)`, and `status(all)` for aggregation by group.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_USAGE_FORMAT`, `URBSTAT_USAGE_SORT`, `URBSTAT_USAGE_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+cli.command(
+  'usage',
+  "Retrieves storage usage statistics for clients, or aggregated by client group, with shares of the total usage. Tables end with a row of totals of the server.\nRequired rights: `piegraph(all)`, and `status(all)` for aggregation by group.\nThe 'number' format returns the total usage in bytes.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_USAGE_FORMAT`, `URBSTAT_USAGE_SORT`, `URBSTAT_USAGE_COLUMNS`, `URBSTAT_LOCALE`.",
+)
+  .example('Get storage usage (uses default options)', 'usage')
+  .example('Get storage usage as a table, sorted by client name', 'usage --format "table" --sort "name"')
+  .example('Get the 3 clients with the largest storage usage, sorted descending', 'usage --format "table" --sort "total" --max 3 --reverse')
+  .example("Get storage usage for client 'office'", 'usage --format "table" --client-name "office"')
+  .example('Get storage usage by client group, sorted descending', 'usage --by "group" --sort "total" --reverse')
+  .example('Get the 10 clients using at least 100 GB, sorted descending', 'usage --min-size "100GB" --sort "total" --max 10 --reverse')
+  .example('Get the total storage usage in bytes', 'usage --format "number"')
+  .option('--format <format:usageFormatValues>', 'Change the output format. The "number" format returns the total usage in bytes.', { default: getSettings('URBSTAT_USAGE_FORMAT') })
+  .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+  .option('--columns <columns:usageColumnsValues[]>', 'Select and order table columns, e.g. "clientName,used,usedPercent".', { default: getSettings('URBSTAT_USAGE_COLUMNS') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('usage') })
+  .option('--sort <field:usageSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_USAGE_SORT') })
+  .option('--reverse', 'Reverse the sorting order.')
+  .option('--max <number:integer>', 'Show only <number> of elements, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+  .option('--by <field:usageByValues>', 'Aggregate usage by client or by client group.', { default: 'client' })
+  .option('--min-size <size:string>', 'Include only elements using at least <size> in total, e.g. "10GB".')
+  .option('--client-name <name:string>', 'Limit usage to specified client only.', { default: '' })
+  .option('--all-profiles', 'Query servers of all profiles and merge the results.', { conflicts: ['profile', 'url', 'user'] })
+  .action((commandOptions) => {
+    const minSize = typeof commandOptions?.minSize === 'string' ? parseSize(commandOptions.minSize) : 0;
+    if (Number.isNaN(minSize)) {
+      exitWithError(`error: Invalid minimum size "${commandOptions.minSize}", expected a size in bytes, optionally with a unit, e.g. "500GB" or "4 TB"`);
+    }
+
+    const isByGroup = commandOptions.by === 'group';
+    const dataType = isByGroup ? 'usageGroup' : 'usage';
+    // NOTE: Accepted columns are those of both aggregations, as they share the option and the setting
+    const columnKeys = typeof commandOptions?.columns === 'string' ? commandOptions.columns.split(',').map((key) => key.trim()).filter((key) => key.length > 0) : (commandOptions?.columns ?? []);
+    const unavailableColumns = columnKeys.filter((key) => !(key in MAPS[dataType]));
+    if (unavailableColumns.length > 0) {
+      exitWithError(`error: Columns not available with --by "${commandOptions.by}": ${unavailableColumns.join(', ')}. Available columns: ${Object.keys(MAPS[dataType]).join(', ')}`);
+    }
+
+    makeServerCalls(isByGroup ? ['usage', 'all-clients'] : ['usage'], commandOptions).then(() => {
+      // NOTE: Shares and totals are computed before filtering and limiting, so that they refer to the total usage of the server
+      const usageItems = addUsageShares(isByGroup ? aggregateUsageByGroup(usageResponse, allClientsResponse) : usageResponse);
+      const totals = getUsageTotals(usageItems, dataType);
+      const data = usageItems.filter((usageItem) => usageItem[MAPS[dataType].used.property] >= minSize);
+
+      if (commandOptions?.format === 'number') {
+        // deno-lint-ignore no-console
+        console.log(data.reduce((total, usageItem) => total + usageItem[MAPS[dataType].used.property], 0));
+        return;
+      }
+
+      transformData(data, dataType, commandOptions);
+
+      const columns = isByGroup ? commandOptions?.columns : extendDefaultColumns('usage', commandOptions?.columns, ['usedPercent']);
+
+      if (commandOptions?.format === 'table') {
+        if (data.length > 0) {
+          const table = createTable(data, dataType, columns);
+          table.push(getColumns(dataType, columns).map((descriptor) => colors.bold(String(getFieldValue(descriptor, totals, false) ?? ''))));
+          table.render();
+        }
+      } else {
+        printData(data, dataType, commandOptions?.format, { ...commandOptions, columns: columns });
+      }
+    });
+  });
+
+/**
+ * Retrieves comprehensive information for a single client, including status, activities, and usage.
+ * Required rights: `status(all)`, `progress(all)`, `lastacts(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is. Sorting and filtering are not applied to raw output for sub-sections.
+ * Default options are configured using: `URBSTAT_CLIENT_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_ACTIVITIES_SORT_LAST`, `URBSTAT_LOCALE`.
+ */
+cli.command(
+  'client',
+  "Retrieves comprehensive information for a single client, including status, activities, and usage.\nRequired rights: `status(all)`, `progress(all)`, `lastacts(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is. Sorting and filtering are not applied to raw output for sub-sections (activities, usage).\nDefault options for formatting and sorting activities are configured using: `URBSTAT_CLIENT_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_ACTIVITIES_SORT_LAST`, `URBSTAT_LOCALE`.",
+)
+  .example("Get all information for the client named 'office'", 'client --name "office"')
+  .option('--format <format:clientFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENT_FORMAT') })
+  .option('--raw-values', 'Keep values as returned by the server in "json" and "ndjson" formats.')
+  .option('--id <ID:integer>', "Client's ID Number.", { conflicts: ['name'] })
+  .option('--name <name:string>', "Client's Name.")
+  .action(function (commandOptions) {
+    // NOTE: don't use arrow function for this action (need access to this)
+    if (commandOptions?.id > 0 || commandOptions?.name?.length > 0) {
+      makeServerCalls(['status', 'activities', 'usage'], commandOptions).then(
+        () => {
+          const matchingClient = [];
+          matchingClient.push(statusResponse[0]);
+
+          if (typeof matchingClient[0] !== 'undefined' && matchingClient[0]?.id > 0) {
+            const matchingClientId = matchingClient[0].id;
+            const matchingCurrentActivities = activitiesResponse.current.filter((activity) => activity.clientid === matchingClientId);
+            const matchingLastActivities = activitiesResponse.last.filter((activity) => activity.clientid === matchingClientId);
+            const matchingUsage = [];
+            matchingUsage.push(usageResponse.find((element) => element.name === matchingClient[0].name));
+
+            if (commandOptions?.format === 'json' || commandOptions?.format === 'ndjson') {
+              // NOTE: Sections are combined into a single document, so that the output remains valid JSON
+              const clientDocument = {};
+              const sections = [
+                ['status', matchingClient, 'client'],
+                ['currentActivities', matchingCurrentActivities, 'activityCurrent'],
+                ['lastActivities', matchingLastActivities, 'activityLast'],
+                ['usage', matchingUsage.filter((element) => typeof element !== 'undefined'), 'usage'],
+              ];
+
+              for (const [sectionName, sectionData, dataType] of sections) {
+                transformData(sectionData, dataType, commandOptions);
+                clientDocument[sectionName] = sectionData.map((element) => normalizeElement(element, dataType, commandOptions?.rawValues));
+              }
+
+              // deno-lint-ignore no-console
+              console.log(commandOptions.format === 'json' ? JSON.stringify(clientDocument, null, 2) : JSON.stringify(clientDocument));
+              return;
+            }
+
+            // deno-lint-ignore no-console
+            console.log(cliTheme.information('Status:'));
+            transformData(matchingClient, 'client', commandOptions);
+            printData(matchingClient, 'client', commandOptions?.format, commandOptions);
+
+            // deno-lint-ignore no-console
+            console.log(cliTheme.information('Current activities:'));
+            transformData(matchingCurrentActivities, 'activityCurrent', commandOptions);
+            if (matchingCurrentActivities.length > 0) {
+              printData(matchingCurrentActivities, 'activityCurrent', commandOptions?.format, commandOptions);
+            } else {
+              if (commandOptions?.format !== 'raw') {
+                // deno-lint-ignore no-console
+                console.log('none');
+              }
+            }
+
+            // deno-lint-ignore no-console
+            console.log(cliTheme.information('Last activities:'));
+            transformData(matchingLastActivities, 'activityLast', commandOptions);
+            if (matchingLastActivities.length > 0) {
+              printData(matchingLastActivities, 'activityLast', commandOptions?.format, commandOptions);
+            } else {
+              // deno-lint-ignore no-console
+              console.log('none');
+            }
+
+            // deno-lint-ignore no-console
+            console.log(cliTheme.information('Usage:'));
+            transformData(matchingUsage, 'usage', commandOptions);
+            printData(matchingUsage, 'usage', commandOptions?.format, commandOptions);
+          } else {
+            // deno-lint-ignore no-console
+            console.log(cliTheme.warning('Client not found'));
+            Deno.exit(0);
+          }
+        },
+      );
+    } else {
+      this.showHelp();
+      // deno-lint-ignore no-console
+      console.log(cliTheme.error('error: You need to provide "--id" or "--name" option to this command'));
+      Deno.exit(1);
+    }
+  });
+
+/**
+ * Retrieves file and image backups (restore points) of a single client.
+ * Required rights: `status(all)`, `browse_backups(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_BACKUPS_FORMAT`, `URBSTAT_BACKUPS_SORT`, `URBSTAT_BACKUPS_COLUMNS`, `URBSTAT_LOCALE`.
+ */
+cli.command(
+  'backups',
+  "Retrieves file and image backups (restore points) of a single client.\nRequired rights: `status(all)`, `browse_backups(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_BACKUPS_FORMAT`, `URBSTAT_BACKUPS_SORT`, `URBSTAT_BACKUPS_COLUMNS`, `URBSTAT_LOCALE`.",
+)
+  .example("Get all backups of client 'office' (uses default options)", 'backups --client-name "office"')
+  .example("Get the 5 most recent image backups of client 'office'", 'backups --client-name "office" --skip-file --sort "time" --reverse --max 5')
+  .example('Get file backups of client with ID 3 as JSON, sorted by size', 'backups --client-id 3 --skip-image --format "json" --sort "size"')
+  .example("Get all backups of client 'office' as CSV, with selected columns", 'backups --client-name "office" --format "csv" --columns "kind,time,size"')
+  .option('--format <format:backupsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_BACKUPS_FORMAT') })
+  .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+  .option('--columns <columns:backupsColumnsValues[]>', 'Select and order table columns, e.g. "time,size".', { default: getSettings('URBSTAT_BACKUPS_COLUMNS') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('backupImage') })
+  .option('--sort <field:backupsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_BACKUPS_SORT') })
+  .option('--reverse', 'Reverse the sorting order.')
+  .option('--max <number:integer>', 'Show only <number> of file and image backups each, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+  .option('--skip-file', 'Skip file backups.', { conflicts: ['skip-image'] })
+  .option('--skip-image', 'Skip image backups.')
+  .option('--client-name <name:string>', 'Get backups of specified client.')
+  .option('--client-id <ID:integer>', 'Get backups of specified client.', { conflicts: ['client-name'] })
+  .action((commandOptions) => {
+    if (typeof commandOptions?.clientName !== 'string' && typeof commandOptions?.clientId !== 'number') {
+      exitWithError('error: You need to provide "--client-name" or "--client-id" option to this command');
+    }
+
+    makeServerCalls(['status', 'backups'], { ...commandOptions, id: commandOptions.clientId, name: commandOptions.clientName }).then(() => {
+      if (statusResponse.length === 0) {
+        // deno-lint-ignore no-console
+        console.log(cliTheme.warning('Client not found'));
+        Deno.exit(0);
+      }
+
+      const sections = [
+        ['file', 'File backups:', backupsResponse.file, 'backupFile', commandOptions?.skipFile],
+        ['image', 'Image backups:', backupsResponse.image, 'backupImage', commandOptions?.skipImage],
+      ]
+        .filter(([, , , , isSkipped]) => isSkipped !== true)
+        .map(([sectionName, sectionTitle, sectionData, dataType]) => {
+          // NOTE: Elements are tagged with their kind on copies, the server response is left intact
+          const taggedData = commandOptions?.format === 'raw' ? sectionData : sectionData.map((element) => ({ ...element, [MAPS[dataType].kind.property]: sectionName }));
+          transformData(taggedData, dataType, commandOptions);
+          return [sectionName, sectionTitle, taggedData, dataType];
+        });
+
+      if (commandOptions?.format === 'json' || commandOptions?.format === 'ndjson') {
+        // NOTE: Sections are combined into a single document, so that the output remains valid JSON
+        const backupsDocument = {};
+        for (const [sectionName, , sectionData, dataType] of sections) {
+          backupsDocument[sectionName] = sectionData.map((element) => normalizeElement(element, dataType, commandOptions?.rawValues));
+        }
+
+        // deno-lint-ignore no-console
+        console.log(commandOptions.format === 'json' ? JSON.stringify(backupsDocument, null, 2) : JSON.stringify(backupsDocument));
+        return;
+      }
+
+      if (['csv', 'tsv', 'html', 'markdown'].includes(commandOptions?.format)) {
+        // NOTE: Sections are combined into a single table of image backup columns, a superset of file backup columns. Default columns are prefixed with the kind column.
+        const combinedColumns = extendDefaultColumns('backupImage', commandOptions?.columns, []);
+        printData(sections.flatMap(([, , sectionData]) => sectionData), 'backupImage', commandOptions.format, {
+          ...commandOptions,
+          columns: combinedColumns === commandOptions?.columns ? combinedColumns : ['kind', ...combinedColumns],
+        });
+        return;
+      }
+
+      for (const [, sectionTitle, sectionData, dataType] of sections) {
+        // deno-lint-ignore no-console
+        console.log(cliTheme.information(sectionTitle));
+        if (sectionData.length > 0 || commandOptions?.format === 'number' || commandOptions?.format === 'raw') {
+          printData(sectionData, dataType, commandOptions?.format, commandOptions);
+        } else {
+          // deno-lint-ignore no-console
+          console.log('none');
+        }
+      }
+    });
+  });
+
+/**
+ * Retrieves all users along with their rights.
+ * Required rights: `usermod(all)`, `settings(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_USERS_SORT`, `URBSTAT_USERS_FORMAT`, `URBSTAT_USERS_COLUMNS`.
+ */
+cli.command(
+  'users',
+  "Retrieves all users along with their rights.\nRequired rights: `usermod(all)`, `settings(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_USERS_SORT`, `URBSTAT_USERS_FORMAT`, `URBSTAT_USERS_COLUMNS`.",
+)
+  .example('Get all users (uses default options)', 'users')
+  .option('--format <format:usersFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_USERS_FORMAT') })
+  .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+  .option('--columns <columns:usersColumnsValues[]>', 'Select and order table columns, e.g. "name,rights".', { default: getSettings('URBSTAT_USERS_COLUMNS') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('user') })
+  .option('--sort <field:usersSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_USERS_SORT') })
+  .option('--reverse', 'Reverse the sorting order.')
+  .option('--max <number:integer>', 'Show only <number> of users, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+  .action((commandOptions) => {
+    makeServerCalls(['users'], commandOptions).then(() => {
+      transformData(usersResponse, 'user', commandOptions);
+      printData(usersResponse, 'user', commandOptions?.format, commandOptions);
+    });
+  });
+
+/**
+ * Retrieves all groups. By default, UrBackup clients are added to a group with ID 0 and an empty name (empty string).
+ * Required rights: `settings(all)`.
+ * If the 'raw' format is specified, property names and values are returned as-is.
+ * Default options are configured using: `URBSTAT_GROUPS_SORT`, `URBSTAT_GROUPS_FORMAT`, `URBSTAT_GROUPS_COLUMNS`.
+ */
+cli.command(
+  'groups',
+  "Retrieves all groups. By default, UrBackup clients are added to a group with ID 0 and an empty name (empty string).\nRequired rights: `settings(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_GROUPS_SORT`, `URBSTAT_GROUPS_FORMAT`, `URBSTAT_GROUPS_COLUMNS`.",
+)
+  .example('Get all groups (uses default options)', 'groups')
+  .option('--format <format:groupsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_GROUPS_FORMAT') })
+  .option('--raw-values', 'Keep values as returned by the server in "json", "ndjson", "csv" and "tsv" formats.')
+  .option('--columns <columns:groupsColumnsValues[]>', 'Select and order table columns, e.g. "name".', { default: getSettings('URBSTAT_GROUPS_COLUMNS') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('group') })
+  .option('--sort <field:groupsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_GROUPS_SORT') })
+  .option('--reverse', 'Reverse the sorting order.')
+  .option('--max <number:integer>', 'Show only <number> of groups, 0 means no limit. Ignored for "raw" format.', { default: 0 })
+  .action((commandOptions) => {
+    makeServerCalls(['groups'], commandOptions).then(() => {
+      transformData(groupsResponse, 'group', commandOptions);
+      printData(groupsResponse, 'group', commandOptions?.format, commandOptions);
+    });
+  });
+
+/**
+ * Checks clients of the specified category and reports the result as a monitoring plugin (Nagios, Icinga). Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ * Prints a one-line status with performance data and exits with 0 (OK), 1 (WARNING), 2 (CRITICAL) or 3 (UNKNOWN).
+ * Default options are configured using: `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`.
+ */
+addClientMatchingOptions(
+  cli.command(
+    'check',
+    'Checks clients of the specified category and reports the result as a monitoring plugin (Nagios, Icinga). Excludes clients marked for removal.\nRequired rights: `status(all)`.\nPrints a one-line status with performance data and exits with 0 (OK), 1 (WARNING), 2 (CRITICAL) or 3 (UNKNOWN). Server errors and usage errors, e.g. a missing threshold, are reported as UNKNOWN.\nDefault options are configured using: `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`.',
+  )
+    .arguments('<category:checkCategoryValues>')
+    .example('Check failed clients, WARNING if there is one failed client and CRITICAL if there are more', 'check failed-clients --warning 0 --critical 1')
+    .example('Check stale clients, WARNING above 2 and CRITICAL above 5 stale clients', 'check stale-clients --warning 2 --critical 5')
+    .example('Check clients whose last file backup is older than 1 day (1440 minutes)', 'check stale-clients --warning 0 --critical 2 --threshold 1440 --skip-image')
+    .example('Check clients not seen for more than 2 days (2880 minutes), ignoring blank clients', 'check unseen-clients --warning 0 --critical 2 --threshold 2880 --skip-blank')
+    .option('--warning <count:integer>', 'Return WARNING if the number of matching clients is greater than <count>.', { required: true })
+    .option('--critical <count:integer>', 'Return CRITICAL if the number of matching clients is greater than <count>. Must not be lower than the WARNING threshold.', { required: true })
+    .option('--threshold <minutes:integer>', 'Set time threshold in minutes. Applies to "stale-clients" and "unseen-clients" only.'),
+)
+  .error((error) => {
+    // NOTE: Usage errors, e.g. a missing threshold or an unknown category, must not be mistaken for a state of the checked service
+    if (error instanceof ValidationError) {
+      exitWithError(`error: ${error.message}`, true);
+    }
+  })
+  .action((commandOptions, category) => {
+    if (commandOptions.warning > commandOptions.critical) {
+      exitWithError('error: The WARNING threshold must not be greater than the CRITICAL threshold', true);
+    }
+
+    const thresholdSettings = { 'stale-clients': 'URBSTAT_CLIENTS_THRESHOLD_STALE', 'unseen-clients': 'URBSTAT_CLIENTS_THRESHOLD_UNSEEN' };
+    const checkOptions = { ...commandOptions };
+    if (category in thresholdSettings && typeof checkOptions.threshold !== 'number') {
+      checkOptions.threshold = getSettings(thresholdSettings[category]);
+    }
+
+    makeServerCalls([category], checkOptions, true).then(() => {
+      const matchingClients = {
+        'blank-clients': blankClientsResponse,
+        'failed-clients': failedClientsResponse,
+        'outdated-clients': outdatedClientsResponse,
+        'stale-clients': staleClientsResponse,
+        'unseen-clients': unseenClientsResponse,
+      }[category];
+      const clientNames = matchingClients.map((client) => client[MAPS.client.name.property]);
+      const { state, line } = getCheckResult(category, clientNames, commandOptions.warning, commandOptions.critical);
+
+      // deno-lint-ignore no-console
+      console.log(line);
+      Deno.exit(state.exitCode);
+    });
+  });
+
+/**
+ * Retrieves a compact health report: failed, stale, unseen, blank and outdated clients, current activities and total storage usage. Excludes clients marked for removal.
+ * Required rights: `status(all)`, `progress(all)`, `lastacts(all)`, `piegraph(all)`.
+ * Default options are configured using: `URBSTAT_SUMMARY_FORMAT`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`, `URBSTAT_LOCALE`.
+ */
+addHealthOptions(
+  cli.command(
+    'summary',
+    'Retrieves a compact health report: failed, stale, unseen, blank and outdated clients, current activities and total storage usage. Excludes clients marked for removal.\nRequired rights: `status(all)`, `progress(all)`, `lastacts(all)`, `piegraph(all)`.\nDefault options are configured using: `URBSTAT_SUMMARY_FORMAT`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`, `URBSTAT_LOCALE`.',
+  )
+    .example('Get the health report (uses default options)', 'summary')
+    .example('Get the health report as JSON', 'summary --format "json"')
+    .example('Get the health report and exit with code 3 if any client is unhealthy', 'summary --exit-code')
+    .example('Get the health report with custom thresholds, considering only file backups', 'summary --stale-threshold 1440 --unseen-threshold 2880 --skip-image')
+    .example('Get the health report of all servers defined as profiles', 'summary --all-profiles')
+    .option('--format <format:summaryFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_SUMMARY_FORMAT') }),
+)
+  .option('--exit-code', 'Exit with code 3 if any client is failed, stale, unseen, blank or outdated.')
+  .option('--all-profiles', 'Query servers of all profiles and merge the results.', { conflicts: ['profile', 'url', 'user'] })
+  .action(async (commandOptions) => {
+    await makeServerCalls(summaryCalls, commandOptions);
+
+    const summary = getHealthSummary();
+
+    if (commandOptions?.format === 'json') {
+      // deno-lint-ignore no-console
+      console.log(JSON.stringify(summary, null, 2));
+    } else {
+      const table = new Table().padding(1).border(true).header(['Category', 'Count', 'Clients']);
+      table.column(2, { maxWidth: 60 });
+      for (const [category, { count, clients }] of Object.entries(summary.clients).filter(([category]) => category !== 'total')) {
+        const label = category.charAt(0).toUpperCase() + category.slice(1);
+        table.push([label, count > 0 ? cliTheme.warning(String(count)) : '0', count > 0 ? clients.join(', ') : 'none']);
+      }
+
+      // deno-lint-ignore no-console
+      console.log(cliTheme.information('Clients:'));
+      table.render();
+      // deno-lint-ignore no-console
+      console.log(cliTheme.information('Current activities:'), `${summary.activities.running} running, ${summary.activities.paused} paused`);
+      // deno-lint-ignore no-console
+      console.log(
+        cliTheme.information('Usage:'),
+        `${Formatter.formatBytes(summary.usage.used, 2)} total, ${Formatter.formatBytes(summary.usage.files, 2)} file backups, ${Formatter.formatBytes(summary.usage.images, 2)} image backups`,
+      );
+    }
+
+    if (commandOptions?.exitCode === true && !summary.isHealthy) {
+      Deno.exit(attentionExitCode);
+    }
+  });
+
+/**
+ * Builds a report document with sections for the health summary, failed, stale, unseen, blank and outdated clients, all clients, current and last activities and storage usage.
+ * Clients are colour-coded by their health in the 'html' format, and their health is shown in a column in both formats.
+ * Required rights: `status(all)`, `progress(all)`, `lastacts(all)`, `piegraph(all)`.
+ * Default options are configured using: `URBSTAT_REPORT_FORMAT`, `URBSTAT_REPORT_TITLE`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_ACTIVITIES_COLUMNS_CURRENT`, `URBSTAT_ACTIVITIES_COLUMNS_LAST`, `URBSTAT_USAGE_COLUMNS`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`, `URBSTAT_LOCALE`.
+ */
+addHealthOptions(
+  cli.command(
+    'report',
+    "Builds a report document with sections for the health summary, failed, stale, unseen, blank and outdated clients, all clients, current and last activities and storage usage.\nClients are colour-coded by their health in the 'html' format.\nRequired rights: `status(all)`, `progress(all)`, `lastacts(all)`, `piegraph(all)`.\nDefault options are configured using: `URBSTAT_REPORT_FORMAT`, `URBSTAT_REPORT_TITLE`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_ACTIVITIES_COLUMNS_CURRENT`, `URBSTAT_ACTIVITIES_COLUMNS_LAST`, `URBSTAT_USAGE_COLUMNS`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`, `URBSTAT_LOCALE`.",
+  )
+    .example('Build the report (uses default options)', 'report > report.html')
+    .example('Build the report as Markdown, with the 50 last activities', 'report --format "markdown" --max-activities 50 > report.md')
+    .example('Build the report of all profiles, considering only file backups', 'report --all-profiles --skip-image --title "Backup report" > report.html')
+    .option('--format <format:reportFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_REPORT_FORMAT') })
+    .option('--title <title:string>', 'Change the title of the report.', { default: getSettings('URBSTAT_REPORT_TITLE') })
+    .option('--columns <columns:clientsColumnsValues[]>', 'Select and order table columns of clients, e.g. "name,ip,version".', { default: getSettings('URBSTAT_CLIENTS_COLUMNS') })
+    .option('--max-activities <number:integer>', 'Show only <number> of the most recent last activities, 0 means no limit.', { default: 20 }),
+)
+  .option('--all-profiles', 'Query servers of all profiles and merge the results.', { conflicts: ['profile', 'url', 'user'] })
+  .action(async (commandOptions) => {
+    await makeServerCalls(summaryCalls, commandOptions);
+
+    const isHtml = commandOptions.format === 'html';
+    const summary = getHealthSummary();
+    const server = mergedProfiles.length > 0 ? mergedProfiles.join(', ') : (commandOptions?.profile ?? commandOptions?.url ?? getSettings('URBSTAT_SERVER_URL'));
+    // NOTE: The health column is always shown, as the colours of rows are lost when the report is printed or converted to plain text
+    const clientColumns = [
+      ...getColumns('client', commandOptions.columns).map((descriptor) => Object.keys(MAPS.client).find((key) => MAPS.client[key] === descriptor)),
+      'health',
+    ];
+    const sections = [];
+
+    const renderParagraph = (text) => (isHtml ? `<p>${escapeHtml(text)}</p>` : text);
+    const addSection = (heading, content) => {
+      sections.push(isHtml ? `<h2>${escapeHtml(heading)}</h2>\n${content}` : `## ${heading}\n\n${content}`);
+    };
+    const addTableSection = (heading, data, dataType, columns) => {
+      const { headers, rows, rowColors } = getTableContent(data, dataType, columns);
+
+      if (rows.length === 0) {
+        addSection(heading, renderParagraph('None.'));
+      } else {
+        addSection(heading, isHtml ? renderHtmlTable(headers, rows, rowColors) : renderMarkdownTable(headers, rows));
+      }
+    };
+
+    const categories = Object.entries(summary.clients).filter(([category]) => category !== 'total');
+    const summaryHeaders = ['Category', 'Count'];
+    const summaryRows = [['Total', summary.clients.total], ...categories.map(([category, { count }]) => [category.charAt(0).toUpperCase() + category.slice(1), count])];
+    const summaryColors = [undefined, ...categories.map(([category, { count }]) => (count > 0 ? (healthColors[category] ?? healthColors.stale) : healthColors.ok))];
+    addSection(
+      'Summary',
+      [
+        renderParagraph(`Server: ${server}. Generated: ${Formatter.formatDateTime(Math.round(Date.now() / 1000))}.`),
+        isHtml ? renderHtmlTable(summaryHeaders, summaryRows, summaryColors) : renderMarkdownTable(summaryHeaders, summaryRows),
+        renderParagraph(`Current activities: ${summary.activities.running} running, ${summary.activities.paused} paused.`),
+        renderParagraph(
+          `Usage: ${Formatter.formatBytes(summary.usage.used, 2)} total, ${Formatter.formatBytes(summary.usage.files, 2)} file backups, ${
+            Formatter.formatBytes(summary.usage.images, 2)
+          } image backups.`,
+        ),
+      ].join(isHtml ? '\n' : '\n\n'),
+    );
+
+    for (
+      const [heading, clients] of [
+        ['Failed clients', failedClientsResponse],
+        ['Stale clients', staleClientsResponse],
+        ['Unseen clients', unseenClientsResponse],
+        ['Blank clients', blankClientsResponse],
+        ['Outdated clients', outdatedClientsResponse],
+        ['All clients', allClientsResponse],
+      ]
+    ) {
+      sortElements(clients, 'client', 'name', false);
+      addTableSection(heading, addClientHealth(clients), 'healthClient', clientColumns);
+    }
+
+    sortElements(activitiesResponse.current, 'activityCurrent', getSettings('URBSTAT_ACTIVITIES_SORT_CURRENT'), false);
+    addTableSection('Current activities', activitiesResponse.current, 'activityCurrent', getSettings('URBSTAT_ACTIVITIES_COLUMNS_CURRENT'));
+
+    sortElements(activitiesResponse.last, 'activityLast', 'time', true);
+    activitiesResponse.last.splice(commandOptions.maxActivities > 0 ? commandOptions.maxActivities : activitiesResponse.last.length);
+    addTableSection('Last activities', activitiesResponse.last, 'activityLast', getSettings('URBSTAT_ACTIVITIES_COLUMNS_LAST'));
+
+    const usage = addUsageShares(usageResponse);
+    sortElements(usage, 'usage', getSettings('URBSTAT_USAGE_SORT'), false);
+    addTableSection('Usage', usage, 'usage', extendDefaultColumns('usage', getSettings('URBSTAT_USAGE_COLUMNS'), ['usedPercent']));
+
+    if (isHtml) {
+      const legend = Object.entries(healthColors).map(([health, color]) => `<span style="background: ${color}; padding: 2px 8px">${escapeHtml(health)}</span>`).join(' ');
+      // deno-lint-ignore no-console
+      console.log(renderHtmlDocument(commandOptions.title, [`<h1>${escapeHtml(commandOptions.title)}</h1>`, `<p>Health: ${legend}</p>`, ...sections].join('\n')));
+    } else {
+      // deno-lint-ignore no-console
+      console.log([`# ${commandOptions.title}`, ...sections].join('\n\n'));
+    }
+  });
+
+/**
+ * Sends the result of a client-list command, or the health report of the 'summary' command, to the configured notification channels.
+ * Channels are SMTP e-mail (plain text with an HTML alternative), a generic JSON webhook, and Slack, Microsoft Teams and Matrix compatible messages.
+ * Required rights: `status(all)`, and `progress(all)`, `lastacts(all)`, `piegraph(all)` for the health report.
+ * Default options are configured using: `URBSTAT_NOTIFY_CHANNELS`, `URBSTAT_NOTIFY_SUBJECT`, `URBSTAT_NOTIFY_MESSAGE`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`, `URBSTAT_LOCALE`.
+ */
+addHealthOptions(
+  cli.command(
+    'notify',
+    "Sends the result of a client-list command, or the health report of the 'summary' command, to the configured notification channels: e-mail (SMTP), a JSON webhook, Slack, Microsoft Teams and Matrix.\nRequired rights: `status(all)`, and `progress(all)`, `lastacts(all)`, `piegraph(all)` for the health report.\nExits with code 1 if sending to any channel fails.\nDefault options are configured using: `URBSTAT_NOTIFY_CHANNELS`, `URBSTAT_NOTIFY_SUBJECT`, `URBSTAT_NOTIFY_MESSAGE`, `URBSTAT_CLIENTS_COLUMNS`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`, `URBSTAT_LOCALE`.",
+  )
+    .example('Send the health report to all configured channels', 'notify')
+    .example('Send failed clients by e-mail, only if there are any', 'notify --source "failed-clients" --channel "email" --only-non-empty')
+    .example('Send clients that failed or recovered since the last run to Slack', 'notify --source "failed-clients" --since-last --only-non-empty --channel "slack"')
+    .example('Show the rendered notification without sending it', 'notify --source "stale-clients" --subject "{count} stale clients" --dry-run')
+    .option('--source <command:notifySourceValues>', 'Send the result of the client-list command, or the health report of "summary".', { default: 'summary' })
+    .option('--channel <channels:notifyChannelValues[]>', 'Send to the selected channels only, empty means all configured channels.', { default: getSettings('URBSTAT_NOTIFY_CHANNELS') })
+    .option('--subject <template:string>', 'Change the template of the subject.', { default: getSettings('URBSTAT_NOTIFY_SUBJECT') })
+    .option('--message <template:string>', 'Change the template of the message.', { default: getSettings('URBSTAT_NOTIFY_MESSAGE') })
+    .option('--only-non-empty', 'Send only if any client matches, or any client is unhealthy in the health report.')
+    .option('--dry-run', 'Print the rendered notification instead of sending it.')
+    .option('--columns <columns:clientsColumnsValues[]>', 'Select and order table columns of clients, e.g. "name,ip,version".', { default: getSettings('URBSTAT_CLIENTS_COLUMNS') })
+    .option('--since-last', 'Send only changes since the last notification of the source command with this option, the result is saved only when sent to all channels. Not supported for "summary".'),
+)
+  .option('--all-profiles', 'Query servers of all profiles and merge the results.', { conflicts: ['profile', 'url', 'user'] })
+  .action(async (commandOptions) => {
+    assertValidSettings();
+
+    const isSummary = commandOptions.source === 'summary';
+    if (isSummary && commandOptions?.sinceLast === true) {
+      exitWithError('error: The --since-last option is not supported for "summary"');
+    }
+
+    const selectedChannels = typeof commandOptions.channel === 'string' ? commandOptions.channel.split(',').map((name) => name.trim()).filter((name) => name.length > 0) : commandOptions.channel;
+    const channelNames = selectedChannels.length > 0 ? selectedChannels : Object.keys(notificationChannels).filter((name) => notificationChannels[name].isConfigured());
+    const unconfiguredNames = channelNames.filter((name) => !notificationChannels[name].isConfigured());
+    if (channelNames.length === 0) {
+      exitWithError('error: No notification channels configured');
+    } else if (unconfiguredNames.length > 0 && commandOptions?.dryRun !== true) {
+      exitWithError(`error: Notification channels not configured: ${unconfiguredNames.join(', ')}`);
+    }
+
+    await makeServerCalls(isSummary ? summaryCalls : [...new Set([commandOptions.source, ...healthCalls])], commandOptions);
+
+    const server = mergedProfiles.length > 0 ? mergedProfiles.join(', ') : (commandOptions?.profile ?? commandOptions?.url ?? getSettings('URBSTAT_SERVER_URL'));
+    let content;
+    let lastRun = null;
+    // NOTE: The result is saved only when changes are delivered, so that they are sent again after a failure or a dry run
+    const saveLastRun = async function () {
+      if (lastRun === null || commandOptions?.dryRun === true) {
+        return;
+      }
+
+      try {
+        await lastRun.save();
+      } catch (error) {
+        exitWithError(error.message);
+      }
+    };
+
+    if (isSummary) {
+      const summary = getHealthSummary();
+      const categories = Object.entries(summary.clients).filter(([category]) => category !== 'total');
+      const names = [...new Set(categories.flatMap(([, { clients }]) => clients))];
+
+      content = {
+        title: 'Health summary',
+        command: commandOptions.source,
+        count: names.length,
+        names: names,
+        server: server,
+        headers: ['Category', 'Count', 'Clients'],
+        rows: categories.map(([category, { count, clients }]) => [category.charAt(0).toUpperCase() + category.slice(1), count, count > 0 ? clients.join(', ') : 'none']),
+        data: summary,
+      };
+    } else {
+      const responses = {
+        'all-clients': allClientsResponse,
+        'ok-clients': okClientsResponse,
+        'outdated-clients': outdatedClientsResponse,
+        'failed-clients': failedClientsResponse,
+        'stale-clients': staleClientsResponse,
+        'blank-clients': blankClientsResponse,
+        'unseen-clients': unseenClientsResponse,
+        'removed-clients': removedClientsResponse,
+        'online-clients': onlineClientsResponse,
+        'offline-clients': offlineClientsResponse,
+        'active-clients': activeClientsResponse,
+      };
+      let clients = responses[commandOptions.source];
+
+      if (commandOptions?.sinceLast === true) {
+        try {
+          lastRun = await compareWithLastRun(commandOptions.source, clients, commandOptions, 'notify');
+          clients = lastRun.changes;
+        } catch (error) {
+          exitWithError(error.message);
+        }
+      }
+
+      sortElements(clients, 'client', 'name', false);
+      clients = addClientHealth(clients);
+      const { headers, rows, rowColors } = getTableContent(
+        clients,
+        'healthClient',
+        commandOptions?.sinceLast === true ? addChangeColumn(commandOptions.columns, 'healthClient') : commandOptions.columns,
+      );
+      const title = commandOptions.source.charAt(0).toUpperCase() + commandOptions.source.slice(1).replace('-', ' ');
+
+      content = {
+        title: commandOptions?.sinceLast === true ? `${title} changed since the last run` : title,
+        command: commandOptions.source,
+        count: clients.length,
+        names: clients.map((client) => client[MAPS.client.name.property]),
+        server: server,
+        headers: headers,
+        rows: rows,
+        rowColors: rowColors,
+        data: clients.map((client) => normalizeElement(client, 'healthClient', false)),
+      };
+    }
+
+    if (commandOptions?.onlyNonEmpty === true && content.count === 0) {
+      // deno-lint-ignore no-console
+      console.log(cliTheme.information('Nothing to notify.'));
+      await saveLastRun();
+      return;
+    }
+
+    const notification = renderNotification(content, commandOptions.subject, commandOptions.message);
+
+    if (commandOptions?.dryRun === true) {
+      // deno-lint-ignore no-console
+      console.log(`${cliTheme.information('Subject:')} ${notification.subject}\n\n${notification.text}\n`);
+    }
+
+    const results = await Promise.all(channelNames.map(async (name) => {
+      if (commandOptions?.dryRun === true) {
+        return { fields: [name], status: 'dry run', isSuccess: true };
+      }
+
+      try {
+        await notificationChannels[name].send(notification);
+        return { fields: [name], status: 'sent', isSuccess: true };
+      } catch (error) {
+        return { fields: [name], status: `error: ${error?.message ?? error}`, isSuccess: false };
+      }
+    }));
+
+    printResults(['Channel'], results);
+
+    if (results.some((result) => result.isSuccess !== true)) {
+      Deno.exit(1);
+    }
+
+    await saveLastRun();
+  });
+
+/**
+ * Saves the status, usage and last activities responses as a snapshot to the local history store, for use by the 'trends' command.
+ * Snapshots are saved as timestamped JSON files in the `snapshots/<profile>` subdirectory of the data directory, snapshots older than the retention period are deleted.
+ * Required rights: `status(all)`, `progress(all)`, `lastacts(all)`, `piegraph(all)`.
+ * Default options are configured using: `URBSTAT_DATA_DIR`, `URBSTAT_SNAPSHOT_RETENTION`.
+ */
+cli.command(
+  'snapshot',
+  "Saves the status, usage and last activities responses as a snapshot to the local history store, for use by the 'trends' command. Snapshots older than the retention period are deleted.\nRequired rights: `status(all)`, `progress(all)`, `lastacts(all)`, `piegraph(all)`.\nDefault options are configured using: `URBSTAT_DATA_DIR`, `URBSTAT_SNAPSHOT_RETENTION`.",
+)
+  .example('Save a snapshot (uses default options), e.g. daily from a scheduled task', 'snapshot')
+  .example('Save a snapshot of the server defined as profile "branch"', 'snapshot --profile "branch"')
+  .example('Save a snapshot and keep all previous snapshots', 'snapshot --retention 0')
+  .option('--retention <days:integer>', 'Delete snapshots older than <days> days, 0 keeps all snapshots.', { default: getSettings('URBSTAT_SNAPSHOT_RETENTION') })
+  .action((commandOptions) => {
+    makeServerCalls(['status', 'activities', 'usage'], commandOptions).then(async () => {
+      const snapshot = {
+        version: 1,
+        time: Math.round(Date.now() / 1000),
+        status: statusResponse,
+        usage: usageResponse,
+        lastActivities: activitiesResponse.last,
+      };
+
+      try {
+        const { path, deleted } = await saveSnapshot(getSnapshotDirectory(commandOptions), snapshot, commandOptions.retention);
+
+        // deno-lint-ignore no-console
+        console.log(cliTheme.information('Snapshot saved:'), path);
+        if (deleted > 0) {
+          // deno-lint-ignore no-console
+          console.log(cliTheme.information('Old snapshots deleted:'), deleted);
+        }
+      } catch (error) {
+        exitWithError(error.message);
+      }
+    });
+  });
+
+/**
+ * Reports trends of clients from the snapshots saved by the 'snapshot' command: storage growth, backup success rate, average backup duration and size.
+ * Also projects when storage runs out, given the storage capacity. Works offline, no connection to the server is made.
+ * The success rate is the share of snapshots in which the client was not failed. Backups are counted from last activities, excluding deletions and restores.
+ * Default options are configured using: `URBSTAT_TRENDS_FORMAT`, `URBSTAT_TRENDS_SORT`, `URBSTAT_TRENDS_COLUMNS`, `URBSTAT_TRENDS_DAYS`, `URBSTAT_STORAGE_CAPACITY`, `URBSTAT_DATA_DIR`, `URBSTAT_LOCALE`.
+ */
+cli.command(
+  'trends',
+  "Reports trends of clients from the snapshots saved by the 'snapshot' command: storage growth, backup success rate, average backup duration and size. Also projects when storage runs out. Works offline.\nThe success rate is the share of snapshots in which the client was not failed. Backups are counted from last activities, excluding deletions and restores.\nDefault options are configured using: `URBSTAT_TRENDS_FORMAT`, `URBSTAT_TRENDS_SORT`, `URBSTAT_TRENDS_COLUMNS`, `URBSTAT_TRENDS_DAYS`, `URBSTAT_STORAGE_CAPACITY`, `URBSTAT_DATA_DIR`, `URBSTAT_LOCALE`.",
+)
+  .example('Get trends of the last 30 days (uses default options)', 'trends')
+  .example('Get the 5 fastest growing clients of the last week', 'trends --days 7 --sort "growth" --reverse --max 5')
+  .example('Get trends and project when 4 TB of storage runs out', 'trends --capacity "4TB"')
+  .example('Get trends of the server defined as profile "branch" as JSON', 'trends --profile "branch" --format "json"')
+  .option('--format <format:trendsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_TRENDS_FORMAT') })
+  .option('--raw-values', 'Keep computed values unformatted in "json", "ndjson", "csv" and "tsv" formats.')
+  .option('--columns <columns:trendsColumnsValues[]>', 'Select and order table columns, e.g. "clientName,growthPerDay".', { default: getSettings('URBSTAT_TRENDS_COLUMNS') })
+  .option('--list-columns', 'List available columns and exit.', { standalone: true, action: () => printColumns('trend') })
+  .option('--sort <field:trendsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_TRENDS_SORT') })
+  .option('--reverse', 'Reverse the sorting order.')
+  .option('--max <number:integer>', 'Show only <number> of elements, 0 means no limit.', { default: 0 })
+  .option('--days <days:integer>', 'Use snapshots of the last <days> days.', { default: getSettings('URBSTAT_TRENDS_DAYS') })
+  .option('--capacity <size:string>', 'Set the storage capacity used for the projection, e.g. "4TB".', { default: getSettings('URBSTAT_STORAGE_CAPACITY') })
+  .option('--client-name <name:string>', 'Limit trends to specified client only.', { default: '' })
+  .option('--skip-file', 'Skip file backups when matching failed clients.', { conflicts: ['skip-image'] })
+  .option('--skip-image', 'Skip image backups when matching failed clients.')
+  .option('--strict', 'Do not treat backups finished with issues as being OK.')
+  .action(async (commandOptions) => {
+    assertValidSettings();
+
+    const capacity = String(commandOptions.capacity).trim().length > 0 ? parseSize(commandOptions.capacity) : null;
+    if (Number.isNaN(capacity)) {
+      exitWithError(`error: Invalid capacity "${commandOptions.capacity}", expected a size in bytes, optionally with a unit, e.g. "500GB" or "4 TB"`);
+    }
+
+    // NOTE: Conversion is needed as UrBackup uses seconds for timestamps whereas Javascript uses milliseconds.
+    const currentEpochTime = Math.round(Date.now() / 1000);
+    const sinceTime = currentEpochTime - Math.max(commandOptions.days, 1) * 86400;
+    const matchOptions = {
+      includeFileBackups: commandOptions?.skipFile !== true,
+      includeImageBackups: commandOptions?.skipImage !== true,
+      failOnFileIssues: commandOptions?.strict === true,
+    };
+
+    try {
+      const directory = getSnapshotDirectory(commandOptions);
+      const snapshots = await readSnapshots(directory, sinceTime);
+      if (snapshots.length === 0) {
+        throw new Error(`error: No snapshots of the last ${commandOptions.days} days found in "${directory}", save them with the 'snapshot' command`);
+      }
+
+      const trends = computeTrends(snapshots, sinceTime, matchOptions);
+      const clients = trends.clients.filter((trendItem) => commandOptions.clientName.length === 0 || trendItem[MAPS.trend.clientName.property] === commandOptions.clientName);
+      const { used, growthPerDay } = trends.storage;
+      const daysLeft = capacity !== null && growthPerDay > 0 ? Math.max(capacity - used, 0) / growthPerDay : null;
+      const storage = {
+        used: used,
+        growthPerDay: growthPerDay === null ? null : Math.round(growthPerDay),
+        capacity: capacity,
+        daysLeft: daysLeft === null ? null : Math.floor(daysLeft),
+        fullTime: daysLeft === null ? null : Math.round(currentEpochTime + daysLeft * 86400),
+      };
+
+      transformData(clients, 'trend', commandOptions);
+
+      if (commandOptions.format === 'json') {
+        const report = {
+          snapshots: { count: snapshots.length, firstTime: snapshots[0].time, lastTime: snapshots.at(-1).time },
+          clients: clients.map((trendItem) => normalizeElement(trendItem, 'trend', commandOptions?.rawValues)),
+          storage: storage,
+        };
+
+        // deno-lint-ignore no-console
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        printData(clients, 'trend', commandOptions.format, commandOptions);
+      }
+
+      if (commandOptions.format === 'table') {
+        const usedText = `${Formatter.formatBytes(storage.used, 2)} used${capacity === null ? '' : ` of ${Formatter.formatBytes(capacity, 2)}`}`;
+        let projectionText;
+        if (storage.growthPerDay === null) {
+          projectionText = 'growth unknown, at least two snapshots are needed';
+        } else if (storage.growthPerDay <= 0) {
+          projectionText = 'not growing';
+        } else if (capacity === null) {
+          projectionText = `growing ${Formatter.formatBytes(storage.growthPerDay, 2)} per day, set the capacity to project when storage runs out`;
+        } else {
+          projectionText = `growing ${Formatter.formatBytes(storage.growthPerDay, 2)} per day, runs out in ${storage.daysLeft} days (${Formatter.formatDateTime(storage.fullTime)})`;
+        }
+
+        // deno-lint-ignore no-console
+        console.log(cliTheme.information('Snapshots:'), `${snapshots.length}, from ${Formatter.formatDateTime(snapshots[0].time)} to ${Formatter.formatDateTime(snapshots.at(-1).time)}`);
+        // deno-lint-ignore no-console
+        console.log(cliTheme.information('Storage:'), `${usedText}, ${projectionText}`);
+      }
+    } catch (error) {
+      exitWithError(error.message);
+    }
+  });
+
+/**
+ * Integration with Zabbix: low-level discovery and bulk metrics.
+ */
+const zabbixCommand = new Command()
+  .description('Integration with Zabbix: low-level discovery of clients and bulk metrics for dependent items.')
+  .example('Discover clients', 'zabbix discovery')
+  .example('Get metrics of all clients as JSON', 'zabbix bulk')
+  .example('Get metrics of all clients as zabbix_sender input', 'zabbix bulk --sender --host "backup-server"')
+  .action(function () {
+    // NOTE: don't use arrow function for this action (need access to this)
+    this.showHelp();
+  });
+
+/**
+ * Prints Zabbix low-level discovery (LLD) JSON with `{#CLIENTNAME}`, `{#CLIENTID}` and `{#GROUP}` macros. Excludes clients marked for removal.
+ * Required rights: `status(all)`.
+ */
+zabbixCommand.command(
+  'discovery',
+  'Prints Zabbix low-level discovery (LLD) JSON with `{#CLIENTNAME}`, `{#CLIENTID}` and `{#GROUP}` macros. Excludes clients marked for removal.\nRequired rights: `status(all)`.',
+)
+  .example('Discover all clients', 'zabbix discovery')
+  .example("Discover clients in the 'servers' group", 'zabbix discovery --group-name "servers"')
+  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
+  .action((commandOptions) => {
+    makeServerCalls(['all-clients'], commandOptions).then(() => {
+      const discoveryData = allClientsResponse
+        .filter((client) => client[MAPS.client.toRemove.property] !== '1')
+        .map((client) => ({
+          '{#CLIENTNAME}': client[MAPS.client.name.property],
+          '{#CLIENTID}': String(client[MAPS.client.id.property]),
+          '{#GROUP}': client[MAPS.client.groupName.property] ?? '',
+        }));
+
+      // deno-lint-ignore no-console
+      console.log(JSON.stringify(discoveryData));
+    });
+  });
+
+/**
+ * Prints metrics of all clients in one run, either as JSON for a dependent item with JSONPath preprocessing or as zabbix_sender input. Excludes clients marked for removal.
+ * Required rights: `status(all)`, `piegraph(all)`.
+ * Ages are expressed in seconds, -1 means that the event never happened. Flags are expressed as 1 (true) or 0 (false).
+ */
+zabbixCommand.command(
+  'bulk',
+  'Prints metrics of all clients in one run, either as JSON for a dependent item with JSONPath preprocessing or as zabbix_sender input. Excludes clients marked for removal.\nRequired rights: `status(all)`, `piegraph(all)`.\nMetrics: id, group, online, active, fileOk, fileIssues, fileDisabled, imageOk, imageDisabled, lastFileAge, lastImageAge, lastSeenAge, fileBytes, imageBytes, usedBytes.\nAges are expressed in seconds, -1 means that the event never happened. Flags are expressed as 1 (true) or 0 (false).',
+)
+  .example('Get metrics of all clients as JSON, keyed by client name', 'zabbix bulk')
+  .example("Get metrics of clients in the 'servers' group as zabbix_sender input", 'zabbix bulk --sender --host "backup-server" --group-name "servers"')
+  .option('--sender', 'Print zabbix_sender input lines instead of JSON.')
+  .option('--host <name:string>', 'Host name used in zabbix_sender input lines. The "-" value means the host name from the zabbix_sender configuration.', { default: '-' })
+  .option('--key-prefix <prefix:string>', 'Prefix of item keys used in zabbix_sender input lines, e.g. "urbstat.client.online[office]".', { default: 'urbstat.client' })
+  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
+  .action((commandOptions) => {
+    makeServerCalls(['all-clients', 'usage'], commandOptions).then(() => {
+      // NOTE: Conversion is needed as UrBackup uses seconds for timestamps whereas Javascript uses milliseconds.
+      const currentEpochTime = Math.round(Date.now() / 1000);
+      const metrics = {};
+
+      for (const client of allClientsResponse) {
+        if (client[MAPS.client.toRemove.property] === '1') {
+          continue;
+        }
+
+        const clientName = client[MAPS.client.name.property];
+        const usageItem = usageResponse.find((element) => element[MAPS.usage.clientName.property] === clientName);
+        metrics[clientName] = getClientMetrics(client, usageItem, currentEpochTime);
+      }
+
+      if (commandOptions?.sender === true) {
+        // NOTE: zabbix_sender input format is '<hostname> <key> <value>', values containing whitespace or quotes must be quoted
+        const quote = (text) => (/[\s"\\]/.test(text) ? `"${text.replace(/["\\]/g, '\\$&')}"` : text);
+        // NOTE: Item key parameters containing commas, brackets or quotes must be quoted as well
+        const keyParameter = (text) => (/[,\]"]|^\s/.test(text) ? `"${text.replaceAll('"', '\\"')}"` : text);
+
+        for (const [clientName, clientMetrics] of Object.entries(metrics)) {
+          for (const [metricName, metricValue] of Object.entries(clientMetrics)) {
+            // deno-lint-ignore no-console
+            console.log(`${quote(commandOptions.host)} ${quote(`${commandOptions.keyPrefix}.${metricName}[${keyParameter(clientName)}]`)} ${quote(String(metricValue))}`);
+          }
+        }
+      } else {
+        // deno-lint-ignore no-console
+        console.log(JSON.stringify(metrics));
+      }
+    });
+  });
+
+cli.command('zabbix', zabbixCommand);
+
+/**
+ * Starts an HTTP server exposing metrics in the OpenMetrics text format, to be scraped by Prometheus. Excludes clients marked for removal.
+ * Required rights: `status(all)`, `progress(all)`, `lastacts(all)`, `piegraph(all)`.
+ * Default options are configured using: `URBSTAT_METRICS_HOSTNAME`, `URBSTAT_METRICS_PORT`, `URBSTAT_METRICS_CACHE_TTL`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`.
+ */
+cli.command(
+  'serve-metrics',
+  'Starts an HTTP server exposing metrics on the "/metrics" path in the OpenMetrics text format, to be scraped by Prometheus. Excludes clients marked for removal.\nRequired rights: `status(all)`, `progress(all)`, `lastacts(all)`, `piegraph(all)`.\nServer responses are cached, so that scrapes do not overload the UrBackup Server.\nDefault options are configured using: `URBSTAT_METRICS_HOSTNAME`, `URBSTAT_METRICS_PORT`, `URBSTAT_METRICS_CACHE_TTL`, `URBSTAT_CLIENTS_THRESHOLD_STALE`, `URBSTAT_CLIENTS_THRESHOLD_UNSEEN`, `URBSTAT_THRESHOLD_POLICIES`.',
+)
+  .example('Serve metrics (uses default options)', 'serve-metrics')
+  .example('Serve metrics on all interfaces, port 9554, refreshing data at most once every 5 minutes', 'serve-metrics --hostname "0.0.0.0" --port 9554 --cache-ttl 300')
+  .option('--hostname <hostname:string>', 'Listen address.', { default: getSettings('URBSTAT_METRICS_HOSTNAME') })
+  .option('--port <port:integer>', 'Listen port.', { default: getSettings('URBSTAT_METRICS_PORT') })
+  .option('--cache-ttl <seconds:integer>', 'Time in seconds for which server responses are cached.', { default: getSettings('URBSTAT_METRICS_CACHE_TTL') })
+  .option('--group-name [name:string]', 'Limit clients to specified group only. Use ="" for empty string.', { default: undefined })
+  .action((commandOptions) => {
+    const server = createServer(commandOptions);
+    const cacheTtl = Number(commandOptions.cacheTtl) * 1000;
+    let cachedMetrics = { text: '', expiresAt: 0 };
+    let pendingMetrics = null;
+
+    /**
+     * Collects data from the UrBackup Server and renders it as metrics.
+     *
+     * @returns {Promise<string>} The OpenMetrics exposition.
+     */
+    const collectMetrics = async () => {
+      const metricFamilies = [];
+
+      try {
+        await fetchServerData(server, ['all-clients', 'usage', 'activities', 'failed-clients', 'stale-clients', 'unseen-clients', 'blank-clients', 'outdated-clients'], {
+          ...commandOptions,
+          staleThreshold: getSettings('URBSTAT_CLIENTS_THRESHOLD_STALE'),
+          unseenThreshold: getSettings('URBSTAT_CLIENTS_THRESHOLD_UNSEEN'),
+        });
+
+        const clients = allClientsResponse.filter((client) => client[MAPS.client.toRemove.property] !== '1');
+        const clientFamilies = [
+          ['urbstat_client_online', 'Whether the client is online.', (client) => (client[MAPS.client.isOnline.property] === true ? 1 : 0)],
+          ['urbstat_client_file_ok', 'Whether the last file backup of the client is OK.', (client) => (client[MAPS.client.statusFile.property] === true ? 1 : 0)],
+          ['urbstat_client_image_ok', 'Whether the last image backup of the client is OK.', (client) => (client[MAPS.client.statusImage.property] === true ? 1 : 0)],
+          ['urbstat_client_last_file_backup_timestamp_seconds', 'Time of the last file backup, 0 if never.', (client) => client[MAPS.client.lastFile.property] ?? 0],
+          ['urbstat_client_last_image_backup_timestamp_seconds', 'Time of the last image backup, 0 if never.', (client) => client[MAPS.client.lastImage.property] ?? 0],
+          ['urbstat_client_last_seen_timestamp_seconds', 'Time the client was last seen, 0 if never.', (client) => client[MAPS.client.lastSeen.property] ?? 0],
+          ['urbstat_client_used_bytes', 'Storage used by all backups of the client.', (_client, usageItem) => usageItem?.[MAPS.usage.used.property] ?? 0],
+          ['urbstat_client_files_bytes', 'Storage used by file backups of the client.', (_client, usageItem) => usageItem?.[MAPS.usage.file.property] ?? 0],
+          ['urbstat_client_images_bytes', 'Storage used by image backups of the client.', (_client, usageItem) => usageItem?.[MAPS.usage.image.property] ?? 0],
+        ];
+
+        for (const [name, help, getValue] of clientFamilies) {
+          metricFamilies.push({
+            name,
+            help,
+            samples: clients.map((client) => ({
+              labels: { client: client[MAPS.client.name.property], client_id: client[MAPS.client.id.property], group: client[MAPS.client.groupName.property] ?? '' },
+              value: getValue(client, usageResponse.find((element) => element[MAPS.usage.clientName.property] === client[MAPS.client.name.property])),
+            })),
+          });
+        }
+
+        const activityFamilies = [
+          ['urbstat_activity_progress_percent', 'Progress of the current activity, -1 if unknown.', MAPS.activityCurrent.progress.property],
+          ['urbstat_activity_eta_seconds', 'Estimated time to completion of the current activity, -1 if unknown.', MAPS.activityCurrent.eta.property],
+          ['urbstat_activity_done_bytes', 'Bytes processed by the current activity.', MAPS.activityCurrent.bytesDone.property],
+          ['urbstat_activity_total_bytes', 'Total bytes of the current activity, -1 if unknown.', MAPS.activityCurrent.size.property],
+          ['urbstat_activity_paused', 'Whether the current activity is paused.', MAPS.activityCurrent.isPaused.property],
+        ];
+
+        for (const [name, help, property] of activityFamilies) {
+          metricFamilies.push({
+            name,
+            help,
+            samples: activitiesResponse.current.map((activity) => {
+              let value = activity[property];
+              if (property === MAPS.activityCurrent.eta.property && value >= 0) {
+                value = Math.round(value / 1000);
+              } else if (typeof value === 'boolean') {
+                value = value === true ? 1 : 0;
+              }
+
+              return {
+                labels: {
+                  activity_id: activity[MAPS.activityCurrent.id.property],
+                  client: activity[MAPS.activityCurrent.clientName.property],
+                  action: activity[MAPS.activityCurrent.actionCode.property],
+                },
+                value: value ?? 0,
+              };
+            }),
+          });
+        }
+
+        metricFamilies.push({
+          name: 'urbstat_clients',
+          help: 'Number of clients in each category.',
+          samples: [
+            ['all', clients],
+            ['failed', failedClientsResponse],
+            ['stale', staleClientsResponse],
+            ['blank', blankClientsResponse],
+            ['unseen', unseenClientsResponse],
+            ['outdated', outdatedClientsResponse],
+          ].map(([category, categoryClients]) => ({ labels: { category }, value: categoryClients.length })),
+        });
+
+        metricFamilies.unshift({ name: 'urbstat_up', help: 'Whether the last query of the UrBackup Server was successful.', samples: [{ value: 1 }] });
+      } catch (error) {
+        // deno-lint-ignore no-console
+        console.error(cliTheme.error(error.message));
+        metricFamilies.splice(0, metricFamilies.length, { name: 'urbstat_up', help: 'Whether the last query of the UrBackup Server was successful.', samples: [{ value: 0 }] });
+      }
+
+      return formatOpenMetrics(metricFamilies);
+    };
+
+    Deno.serve({
+      hostname: commandOptions.hostname,
+      port: Number(commandOptions.port),
+      onListen: ({ hostname, port }) => {
+        // deno-lint-ignore no-console
+        console.log(cliTheme.information(`Serving metrics on http://${hostname}:${port}/metrics`));
+      },
+    }, async (request) => {
+      if (new URL(request.url).pathname !== '/metrics') {
+        return new Response('Not Found\n', { status: 404 });
+      }
+
+      if (Date.now() >= cachedMetrics.expiresAt) {
+        // NOTE: Concurrent scrapes share a single pending refresh
+        pendingMetrics ??= collectMetrics().then((text) => {
+          cachedMetrics = { text, expiresAt: Date.now() + cacheTtl };
+        }).finally(() => {
+          pendingMetrics = null;
+        });
+        await pendingMetrics;
+      }
+
+      return new Response(cachedMetrics.text, { headers: { 'content-type': 'application/openmetrics-text; version=1.0.0; charset=utf-8' } });
     });
   });
 
 /**
- * Retrieves paused activities.
- * Required rights: `progress(all)`, `lastacts(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_LOCALE`.
+ * Starts backups of the specified clients. Clients can be specified by name, ID, group or piped from another command. Excludes clients marked for removal.
+ * Required rights: `status(all)`, `start_backup(all)`.
  */
 cli.command(
-  'paused-activities',
-  "Retrieves paused activities.\nRequired rights: `progress(all)`, `lastacts(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_ACTIVITIES_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_LOCALE`.",
+  'start-backup',
+  'Starts backups of the specified clients. Clients can be specified by name, ID, group or piped from another command. Excludes clients marked for removal.\nRequired rights: `status(all)`, `start_backup(all)`.\nThe `start_backup` right of the user is checked before any backup is started if the user is allowed to read it, otherwise the server refuses backups the user has no right to start.\nExits with code 1 if any backup fails to start.',
 )
-  .example('Get paused activities (uses default options)', 'paused-activities')
-  .example('Get the total count of paused activities', 'paused-activities --format "number"')
-  .example('Get paused activities as a table, sorted by progress', 'paused-activities --format "table" --sort "progress"')
-  .example('Get the 3 paused activities with the largest size, sorted descending', 'paused-activities --format "table" --sort "size" --max 3 --reverse')
-  .example("Get paused activities for client 'office', sorted by client name", 'paused-activities --format "table" --sort "client" --client-name "office"')
-  .option('--format <format:activitiesFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_ACTIVITIES_FORMAT') })
-  .option('--sort <field:currentActivitiesSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_ACTIVITIES_SORT_CURRENT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of activities, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--client-name <name:string>', 'Limit activities to specified client only.')
-  .option('--client-id <ID:integer>', 'Limit activities to specified client only.', { conflicts: ['client-name'] })
-  .action((commandOptions) => {
-    makeServerCalls(['paused-activities'], commandOptions).then(() => {
-      transformData(pausedActivitiesResponse, 'activityCurrent', commandOptions);
-      printData(pausedActivitiesResponse, 'activityCurrent', commandOptions?.format);
-    });
+  .example("Start an incremental file backup of client 'office'", 'start-backup --type "incr-file" --client-name "office"')
+  .example('Start full image backups of all clients in two groups', 'start-backup --type "full-image" --group-name "servers" --group-name "laptops"')
+  .example('Start incremental file backups of all stale clients', 'urbstat stale-clients --format "json" | urbstat start-backup --type "incr-file"')
+  .example('Show which backups would be started without starting them', 'start-backup --type "incr-file" --group-name "servers" --dry-run')
+  .option('--type <type:backupTypeValues>', 'Backup type.', { required: true })
+  .option('--client-name <name:string>', 'Start backup of specified client. Can be repeated.', { collect: true })
+  .option('--client-id <ID:integer>', 'Start backup of specified client. Can be repeated.', { collect: true })
+  .option('--group-name [name:string]', 'Start backups of all clients in specified group. Can be repeated. Use ="" for empty string.', { collect: true })
+  .option('--dry-run', 'Show which backups would be started without starting them.')
+  .action(async (commandOptions) => {
+    const startMethods = {
+      'full-file': 'startFullFileBackup',
+      'incr-file': 'startIncrementalFileBackup',
+      'full-image': 'startFullImageBackup',
+      'incr-image': 'startIncrementalImageBackup',
+    };
+    const clientNames = commandOptions?.clientName ?? [];
+    const clientIds = commandOptions?.clientId ?? [];
+    // TODO: NOTE: This is a workaround for upstream bug that does not allow an empty string as a value https://github.com/c4spar/deno-cliffy/issues/665 https://github.com/c4spar/deno-cliffy/issues/731
+    const groupNames = (commandOptions?.groupName ?? []).map((groupName) => (groupName === true ? '' : groupName));
+    let pipedNames = [];
+
+    if (clientNames.length + clientIds.length + groupNames.length === 0) {
+      try {
+        pipedNames = await readPipedClientNames();
+      } catch (error) {
+        exitWithError(error.message);
+      }
+    }
+
+    if (clientNames.length + clientIds.length + groupNames.length + pipedNames.length === 0) {
+      exitWithError('error: No clients specified, use --client-name, --client-id, --group-name or pipe client names');
+    }
+
+    const server = createServer(commandOptions);
+
+    try {
+      // NOTE: Groups are matched locally, as several groups can be specified
+      await fetchServerData(server, ['all-clients'], { ...commandOptions, groupName: undefined });
+    } catch (error) {
+      exitWithError(error.message);
+    }
+
+    // NOTE: Reading rights requires listing users, if it is denied, the result of starting a backup tells whether it is allowed
+    let userRights = null;
+
+    try {
+      userRights = await server.getUserRights();
+    } catch {
+      userRights = null;
+    }
+
+    if (Array.isArray(userRights) && !userRights.some((right) => right?.domain === 'start_backup' || right?.domain === 'all')) {
+      exitWithError('error: The user has no `start_backup` right, grant it in the UrBackup Server web UI');
+    }
+
+    const clients = allClientsResponse.filter((client) => client[MAPS.client.toRemove.property] !== '1');
+    const results = [];
+
+    for (const identifier of [...clientNames, ...pipedNames, ...clientIds]) {
+      const property = typeof identifier === 'number' ? MAPS.client.id.property : MAPS.client.name.property;
+      if (!clients.some((client) => client[property] === identifier)) {
+        results.push({ fields: [typeof identifier === 'number' ? identifier : '', typeof identifier === 'string' ? identifier : '', commandOptions.type], status: 'not found', isSuccess: false });
+      }
+    }
+
+    const targets = clients.filter((client) =>
+      clientNames.includes(client[MAPS.client.name.property]) || pipedNames.includes(client[MAPS.client.name.property]) || clientIds.includes(client[MAPS.client.id.property]) ||
+      groupNames.includes(client[MAPS.client.groupName.property])
+    );
+
+    results.push(
+      ...(await Promise.all(targets.map(async (client) => {
+        const result = { fields: [client[MAPS.client.id.property], client[MAPS.client.name.property], commandOptions.type] };
+
+        if (Array.isArray(userRights) && !hasClientRight(userRights, 'start_backup', client[MAPS.client.id.property])) {
+          return { ...result, status: 'no start_backup right', isSuccess: false };
+        }
+
+        if (commandOptions?.dryRun === true) {
+          return { ...result, status: 'dry run', isSuccess: true };
+        }
+
+        try {
+          const isStarted = await server[startMethods[commandOptions.type]]({ clientId: client[MAPS.client.id.property] });
+          return { ...result, status: isStarted === true ? 'started' : 'not started', isSuccess: isStarted === true };
+        } catch (error) {
+          return { ...result, status: `error: ${error?.message ?? error}`, isSuccess: false };
+        }
+      }))),
+    );
+
+    printResults([MAPS.client.id.header, MAPS.client.name.header, 'Backup Type'], results);
+
+    if (results.some((result) => result.isSuccess !== true)) {
+      Deno.exit(1);
+    }
   });
 
 /**
- * Retrieves storage usage statistics for clients.
- * Required rights: `piegraph(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_USAGE_FORMAT`, `URBSTAT_USAGE_SORT`, `URBSTAT_LOCALE`.
+ * Stops a single activity specified by ID, or all current activities matching the filters.
+ * Required rights: `progress(all)`, `lastacts(all)`, `stop_backup(all)`.
+ * Default options are configured using: `URBSTAT_ACTIVITIES_COLUMNS_CURRENT`, `URBSTAT_LOCALE`.
  */
 cli.command(
-  'usage',
-  "Retrieves storage usage statistics for clients.\nRequired rights: `piegraph(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_USAGE_FORMAT`, `URBSTAT_USAGE_SORT`, `URBSTAT_LOCALE`.",
+  'stop-activity',
+  'Stops a single activity specified by ID, or all current activities matching the filters.\nRequired rights: `progress(all)`, `lastacts(all)`, `stop_backup(all)`.\nMatching activities are previewed and stopping more than one of them must be confirmed, unless the --yes option is provided.\nExits with code 1 if any activity fails to stop.\nDefault options are configured using: `URBSTAT_ACTIVITIES_COLUMNS_CURRENT`, `URBSTAT_LOCALE`.',
 )
-  .example('Get storage usage (uses default options)', 'usage')
-  .example('Get storage usage as a table, sorted by client name', 'usage --format "table" --sort "name"')
-  .example('Get the 3 clients with the largest storage usage, sorted descending', 'usage --format "table" --sort "total" --max 3 --reverse')
-  .example("Get storage usage for client 'office'", 'usage --format "table" --client-name "office"')
-  .option('--format <format:usageFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_USAGE_FORMAT') })
-  .option('--sort <field:usageSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_USAGE_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of elements, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .option('--client-name <name:string>', 'Limit usage to specified client only.', { default: '' })
-  .action((commandOptions) => {
-    makeServerCalls(['usage'], commandOptions).then(() => {
-      transformData(usageResponse, 'usage', commandOptions);
-      printData(usageResponse, 'usage', commandOptions?.format);
-    });
+  .example('Stop activity with ID 42', 'stop-activity --id 42')
+  .example("Stop all paused activities of client 'office' without confirmation", 'stop-activity --client-name "office" --paused-only --yes')
+  .example('Stop all activities that made no progress during the next 30 minutes', 'stop-activity --stalled 30')
+  .example('Show which activities would be stopped without stopping them', 'stop-activity --paused-only --dry-run')
+  .option('--id <ID:integer>', 'Stop activity with specified ID.', { conflicts: ['paused-only', 'stalled'] })
+  .option('--client-name <name:string>', 'Limit activities to specified client only.')
+  .option('--client-id <ID:integer>', 'Limit activities to specified client only.', { conflicts: ['client-name'] })
+  .option('--paused-only', 'Match paused activities only.')
+  .option('--stalled <minutes:integer>', 'Match activities making no progress for <minutes>. Progress is observed for that long before stopping. Paused activities are never stalled.', {
+    conflicts: ['paused-only'],
+  })
+  .option('--columns <columns:currentActivitiesColumnsValues[]>', 'Select and order preview table columns, e.g. "clientName,progress".', { default: getSettings('URBSTAT_ACTIVITIES_COLUMNS_CURRENT') })
+  .option('--yes', 'Do not ask for confirmation.')
+  .option('--dry-run', 'Show which activities would be stopped without stopping them.')
+  .action(async (commandOptions) => {
+    const isFiltered = typeof commandOptions?.clientName === 'string' || typeof commandOptions?.clientId === 'number' || commandOptions?.pausedOnly === true ||
+      typeof commandOptions?.stalled === 'number';
+
+    if (typeof commandOptions?.id !== 'number' && !isFiltered) {
+      exitWithError('error: No activities specified, use --id, --client-name, --client-id, --paused-only or --stalled');
+    }
+
+    const server = createServer(commandOptions);
+
+    /**
+     * Fetches current activities, including paused ones.
+     *
+     * @returns {Promise<Object[]>} The current activities.
+     */
+    const fetchCurrentActivities = async () => {
+      try {
+        await fetchServerData(server, ['activities'], { ...commandOptions, skipPaused: false });
+      } catch (error) {
+        exitWithError(error.message);
+      }
+
+      return activitiesResponse.current;
+    };
+
+    let targets = await fetchCurrentActivities();
+
+    if (typeof commandOptions?.id === 'number') {
+      targets = targets.filter((activity) => activity[MAPS.activityCurrent.id.property] === commandOptions.id);
+    }
+
+    if (commandOptions?.pausedOnly === true) {
+      targets = targets.filter((activity) => activity[MAPS.activityCurrent.isPaused.property] === true);
+    }
+
+    if (typeof commandOptions?.stalled === 'number') {
+      const initialBytesDone = new Map(targets.map((activity) => [activity[MAPS.activityCurrent.id.property], activity[MAPS.activityCurrent.bytesDone.property]]));
+
+      if (initialBytesDone.size > 0) {
+        // deno-lint-ignore no-console
+        console.log(cliTheme.information(`Observing progress of ${initialBytesDone.size} activities for ${commandOptions.stalled} minutes...`));
+        await new Promise((resolve) => setTimeout(resolve, commandOptions.stalled * 60 * 1000));
+        targets = (await fetchCurrentActivities()).filter((activity) =>
+          activity[MAPS.activityCurrent.isPaused.property] !== true &&
+          initialBytesDone.get(activity[MAPS.activityCurrent.id.property]) === activity[MAPS.activityCurrent.bytesDone.property]
+        );
+      }
+    }
+
+    if (typeof commandOptions?.id === 'number' && targets.length === 0) {
+      exitWithError(`error: Activity ${commandOptions.id} not found`);
+    }
+
+    if (targets.length > 0) {
+      createTable(targets, 'activityCurrent', commandOptions?.columns).render();
+    }
+
+    if (targets.length > 1 && commandOptions?.dryRun !== true && commandOptions?.yes !== true && !confirm(`Stop ${targets.length} activities?`)) {
+      Deno.exit(1);
+    }
+
+    const results = await Promise.all(targets.map(async (activity) => {
+      const result = { fields: [activity[MAPS.activityCurrent.id.property], activity[MAPS.activityCurrent.clientName.property]] };
+
+      if (commandOptions?.dryRun === true) {
+        return { ...result, status: 'dry run', isSuccess: true };
+      }
+
+      try {
+        const isStopped = await server.stopActivity({ clientId: activity[MAPS.activityCurrent.clientId.property], activityId: activity[MAPS.activityCurrent.id.property] });
+        return { ...result, status: isStopped === true ? 'stopped' : 'not stopped', isSuccess: isStopped === true };
+      } catch (error) {
+        return { ...result, status: `error: ${error?.message ?? error}`, isSuccess: false };
+      }
+    }));
+
+    printResults([MAPS.activityCurrent.id.header, MAPS.activityCurrent.clientName.header], results);
+
+    if (results.some((result) => result.isSuccess !== true)) {
+      Deno.exit(1);
+    }
   });
 
 /**
- * Retrieves comprehensive information for a single client, including status, activities, and usage.
- * Required rights: `status(all)`, `progress(all)`, `lastacts(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is. Sorting and filtering are not applied to raw output for sub-sections.
- * Default options are configured using: `URBSTAT_CLIENT_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_ACTIVITIES_SORT_LAST`, `URBSTAT_LOCALE`.
+ * Finds a single client by the `--client-name` or `--client-id` command option, exiting with an error if it is not found.
+ *
+ * @param {UrbackupServer} server - The API client.
+ * @param {Object} commandOptions - The command options.
+ * @returns {Promise<Object>} The client element of the status response, including clients marked for removal.
  */
-cli.command(
-  'client',
-  "Retrieves comprehensive information for a single client, including status, activities, and usage.\nRequired rights: `status(all)`, `progress(all)`, `lastacts(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is. Sorting and filtering are not applied to raw output for sub-sections (activities, usage).\nDefault options for formatting and sorting activities are configured using: `URBSTAT_CLIENT_FORMAT`, `URBSTAT_ACTIVITIES_SORT_CURRENT`, `URBSTAT_ACTIVITIES_SORT_LAST`, `URBSTAT_LOCALE`.",
-)
-  .example("Get all information for the client named 'office'", 'client --name "office"')
-  .option('--format <format:clientFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_CLIENT_FORMAT') })
-  .option('--id <ID:integer>', "Client's ID Number.", { conflicts: ['name'] })
-  .option('--name <name:string>', "Client's Name.")
-  .action(function (commandOptions) {
+const findClient = async function (server, commandOptions) {
+  if (typeof commandOptions?.clientName !== 'string' && typeof commandOptions?.clientId !== 'number') {
+    exitWithError('error: No client specified, use --client-name or --client-id');
+  }
+
+  try {
+    await fetchServerData(server, ['status'], { id: commandOptions.clientId, name: commandOptions.clientName });
+  } catch (error) {
+    exitWithError(error.message);
+  }
+
+  if (statusResponse.length === 0) {
+    exitWithError(`error: Client ${commandOptions.clientName ?? commandOptions.clientId} not found`);
+  }
+
+  return statusResponse[0];
+};
+
+/**
+ * Client lifecycle management: adding, removing and cancelling removal of clients.
+ */
+const manageClientCommand = new Command()
+  .description('Client lifecycle management: adding internet clients, removing clients and cancelling their removal.')
+  .example("Add internet client 'laptop2' and print its authentication key", 'manage-client add --client-name "laptop2"')
+  .example("Remove client 'laptop2'", 'manage-client remove --client-name "laptop2"')
+  .example('Cancel removal of client with ID 3', 'manage-client cancel-remove --client-id 3')
+  .action(function () {
     // NOTE: don't use arrow function for this action (need access to this)
-    if (commandOptions?.id > 0 || commandOptions?.name?.length > 0) {
-      makeServerCalls(['status', 'activities', 'usage'], commandOptions).then(
-        () => {
-          const matchingClient = [];
-          matchingClient.push(statusResponse[0]);
+    this.showHelp();
+  });
 
-          if (typeof matchingClient[0] !== 'undefined' && matchingClient[0]?.id > 0) {
-            const matchingClientId = matchingClient[0].id;
-            const matchingCurrentActivities = activitiesResponse.current.filter((activity) => activity.clientid === matchingClientId);
-            const matchingLastActivities = activitiesResponse.last.filter((activity) => activity.clientid === matchingClientId);
-            const matchingUsage = [];
-            matchingUsage.push(usageResponse.find((element) => element.name === matchingClient[0].name));
+/**
+ * Adds an internet client and prints its authentication key.
+ * Required rights: `status(all)`, `add_client(all)`, `settings(all)`.
+ */
+manageClientCommand.command(
+  'add',
+  'Adds an internet client and prints its authentication key.\nRequired rights: `status(all)`, `add_client(all)`, `settings(all)`.',
+)
+  .example("Add internet client 'laptop2'", 'manage-client add --client-name "laptop2"')
+  .example("Add internet client 'laptop2' without confirmation", 'manage-client add --client-name "laptop2" --yes')
+  .option('--client-name <name:string>', 'Name of the new client.', { required: true })
+  .option('--yes', 'Do not ask for confirmation.')
+  .action(async (commandOptions) => {
+    const server = createServer(commandOptions);
 
-            // deno-lint-ignore no-console
-            console.log(cliTheme.information('Status:'));
-            transformData(matchingClient, 'client', commandOptions);
-            printData(matchingClient, 'client', commandOptions?.format);
+    if (commandOptions?.yes !== true && !confirm(`Add internet client '${commandOptions.clientName}'?`)) {
+      Deno.exit(1);
+    }
 
-            // deno-lint-ignore no-console
-            console.log(cliTheme.information('Current activities:'));
-            transformData(matchingCurrentActivities, 'activityCurrent', commandOptions);
-            if (matchingCurrentActivities.length > 0) {
-              printData(matchingCurrentActivities, 'activityCurrent', commandOptions?.format);
-            } else {
-              if (commandOptions?.format !== 'raw') {
-                // deno-lint-ignore no-console
-                console.log('none');
-              }
-            }
+    let authKey;
+    try {
+      if ((await server.addClient({ clientName: commandOptions.clientName })) !== true) {
+        exitWithError(`error: Client ${commandOptions.clientName} not added, it may already exist`);
+      }
+      authKey = await server.getClientAuthkey({ clientName: commandOptions.clientName });
+    } catch (error) {
+      exitWithError(error.message);
+    }
 
-            // deno-lint-ignore no-console
-            console.log(cliTheme.information('Last activities:'));
-            transformData(matchingLastActivities, 'activityLast', commandOptions);
-            if (matchingLastActivities.length > 0) {
-              printData(matchingLastActivities, 'activityLast', commandOptions?.format);
-            } else {
-              // deno-lint-ignore no-console
-              console.log('none');
-            }
+    createTable([await findClient(server, commandOptions)], 'client').render();
+    // deno-lint-ignore no-console
+    console.log(`Authentication key: ${authKey}`);
+  });
 
-            // deno-lint-ignore no-console
-            console.log(cliTheme.information('Usage:'));
-            transformData(matchingUsage, 'usage', commandOptions);
-            printData(matchingUsage, 'usage', commandOptions?.format);
-          } else {
-            // deno-lint-ignore no-console
-            console.log(cliTheme.warning('Client not found'));
-            Deno.exit(0);
-          }
-        },
-      );
-    } else {
-      this.showHelp();
-      // deno-lint-ignore no-console
-      console.log(cliTheme.error('error: You need to provide "--id" or "--name" option to this command'));
+/**
+ * Marks a client for removal. Actual removal, including all backups of the client, occurs during the cleanup time window.
+ * Required rights: `status(all)`, `remove_client(all)`.
+ */
+manageClientCommand.command(
+  'remove',
+  'Marks a client for removal. Actual removal, including all backups of the client, occurs during the cleanup time window.\nRequired rights: `status(all)`, `remove_client(all)`.\nUntil then, removal can be cancelled with the "manage-client cancel-remove" command.',
+)
+  .example("Remove client 'laptop2'", 'manage-client remove --client-name "laptop2"')
+  .example('Remove client with ID 3 without confirmation', 'manage-client remove --client-id 3 --yes')
+  .option('--client-name <name:string>', 'Remove specified client.')
+  .option('--client-id <ID:integer>', 'Remove specified client.', { conflicts: ['client-name'] })
+  .option('--yes', 'Do not ask for confirmation.')
+  .action(async (commandOptions) => {
+    const server = createServer(commandOptions);
+    const client = await findClient(server, commandOptions);
+
+    if (client[MAPS.client.toRemove.property] === '1') {
+      exitWithError(`error: Client ${client[MAPS.client.name.property]} is already marked for removal`);
+    }
+
+    createTable([client], 'client').render();
+    // deno-lint-ignore no-console
+    console.log(cliTheme.warning('All backups of this client will be deleted during the next cleanup.'));
+
+    if (commandOptions?.yes !== true && !confirm(`Remove client '${client[MAPS.client.name.property]}'?`)) {
       Deno.exit(1);
     }
+
+    try {
+      if ((await server.removeClient({ clientId: client[MAPS.client.id.property] })) !== true) {
+        exitWithError(`error: Client ${client[MAPS.client.name.property]} not marked for removal`);
+      }
+    } catch (error) {
+      exitWithError(error.message);
+    }
+
+    // deno-lint-ignore no-console
+    console.log(cliTheme.information(`Client ${client[MAPS.client.name.property]} marked for removal.`));
   });
 
 /**
- * Retrieves all users along with their rights.
- * Required rights: `usermod(all)`, `settings(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_USERS_SORT`, `URBSTAT_USERS_FORMAT`.
+ * Cancels removal of a client marked for removal.
+ * Required rights: `status(all)`, `remove_client(all)`.
  */
-cli.command(
-  'users',
-  "Retrieves all users along with their rights.\nRequired rights: `usermod(all)`, `settings(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_USERS_SORT`, `URBSTAT_USERS_FORMAT`.",
+manageClientCommand.command(
+  'cancel-remove',
+  'Cancels removal of a client marked for removal.\nRequired rights: `status(all)`, `remove_client(all)`.',
 )
-  .example('Get all users (uses default options)', 'users')
-  .option('--format <format:usersFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_USERS_FORMAT') })
-  .option('--sort <field:usersSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_USERS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of users, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .action((commandOptions) => {
-    makeServerCalls(['users'], commandOptions).then(() => {
-      transformData(usersResponse, 'user', commandOptions);
-      printData(usersResponse, 'user', commandOptions?.format);
-    });
+  .example("Cancel removal of client 'laptop2'", 'manage-client cancel-remove --client-name "laptop2"')
+  .example('Cancel removal of client with ID 3 without confirmation', 'manage-client cancel-remove --client-id 3 --yes')
+  .option('--client-name <name:string>', 'Cancel removal of specified client.')
+  .option('--client-id <ID:integer>', 'Cancel removal of specified client.', { conflicts: ['client-name'] })
+  .option('--yes', 'Do not ask for confirmation.')
+  .action(async (commandOptions) => {
+    const server = createServer(commandOptions);
+    const client = await findClient(server, commandOptions);
+
+    if (client[MAPS.client.toRemove.property] !== '1') {
+      exitWithError(`error: Client ${client[MAPS.client.name.property]} is not marked for removal`);
+    }
+
+    createTable([client], 'client').render();
+
+    if (commandOptions?.yes !== true && !confirm(`Cancel removal of client '${client[MAPS.client.name.property]}'?`)) {
+      Deno.exit(1);
+    }
+
+    try {
+      if ((await server.cancelRemoveClient({ clientId: client[MAPS.client.id.property] })) !== true) {
+        exitWithError(`error: Removal of client ${client[MAPS.client.name.property]} not cancelled`);
+      }
+    } catch (error) {
+      exitWithError(error.message);
+    }
+
+    // deno-lint-ignore no-console
+    console.log(cliTheme.information(`Removal of client ${client[MAPS.client.name.property]} cancelled.`));
   });
 
+cli.command('manage-client', manageClientCommand);
+
 /**
- * Retrieves all groups. By default, UrBackup clients are added to a group with ID 0 and an empty name (empty string).
- * Required rights: `settings(all)`.
- * If the 'raw' format is specified, property names and values are returned as-is.
- * Default options are configured using: `URBSTAT_GROUPS_SORT`, `URBSTAT_GROUPS_FORMAT`.
+ * Prints the effective settings and the source of each value, i.e. an environment variable, the configuration file or the hard-coded default.
+ * Unknown keys of the configuration file and values other than the accepted ones are reported.
  */
-cli.command(
-  'groups',
-  "Retrieves all groups. By default, UrBackup clients are added to a group with ID 0 and an empty name (empty string).\nRequired rights: `settings(all)`.\nIf the 'raw' format is specified, property names and values are returned as-is.\nDefault options are configured using: `URBSTAT_GROUPS_SORT`, `URBSTAT_GROUPS_FORMAT`.",
+const configCommand = new Command()
+  .description(
+    'Prints the effective settings and the source of each value, i.e. an environment variable, the configuration file or the hard-coded default.\nUnknown keys of the configuration file and invalid values are reported.\nPasswords, tokens and webhook URLs are masked.',
+  )
+  .example('Print the effective settings', 'config')
+  .example('Print the settings of a specific configuration file', 'config --config "/etc/urbstat/urbstat.conf"')
+  .example('Validate the settings', 'config validate')
+  .action(() => {
+    const profileKeys = Object.keys(fileSettings).filter((key) => profileKeyPattern.test(key));
+    const table = new Table().padding(1).border(true);
+
+    for (const key of [...Object.keys(fallbackSettings).sort(), ...profileKeys]) {
+      const value = String(settings[key] ?? fallbackSettings[key]?.defaultValue);
+      table.push([key, maskSecretSetting(key, value), getSettingsSource(key)]);
+    }
+
+    // deno-lint-ignore no-console
+    console.log(`Configuration file: ${configPath ?? 'none'}`);
+    table.header(['Setting', 'Value', 'Source']);
+    table.render();
+
+    for (const key of getUnknownSettingsKeys()) {
+      // deno-lint-ignore no-console
+      console.log(cliTheme.warning(`Unknown key: ${key}`));
+    }
+
+    for (const problem of validateSettings()) {
+      // deno-lint-ignore no-console
+      console.log(cliTheme.warning(`Invalid value: ${problem}`));
+    }
+  });
+
+/**
+ * Validates the effective settings and exits with code 1, listing every problem, if any of them is invalid.
+ * Unknown keys of the configuration file are reported as warnings.
+ */
+configCommand.command(
+  'validate',
+  'Validates the effective settings: accepted values, integer ranges, the locale, threshold policies and server URLs, including those of profiles.\nExits with code 1, listing every problem, if any of them is invalid. Unknown keys of the configuration file are reported as warnings.',
 )
-  .example('Get all groups (uses default options)', 'groups')
-  .option('--format <format:groupsFormatValues>', 'Change the output format.', { default: getSettings('URBSTAT_GROUPS_FORMAT') })
-  .option('--sort <field:groupsSortValues>', 'Change the sorting order.', { default: getSettings('URBSTAT_GROUPS_SORT') })
-  .option('--reverse', 'Reverse the sorting order.')
-  .option('--max <number:integer>', 'Show only <number> of groups, 0 means no limit. Ignored for "raw" format.', { default: 0 })
-  .action((commandOptions) => {
-    makeServerCalls(['groups'], commandOptions).then(() => {
-      transformData(groupsResponse, 'group', commandOptions);
-      printData(groupsResponse, 'group', commandOptions?.format);
-    });
+  .example('Validate the settings', 'config validate')
+  .example('Validate a specific configuration file', 'config validate --config "/etc/urbstat/urbstat.conf"')
+  .action(() => {
+    for (const key of getUnknownSettingsKeys()) {
+      // deno-lint-ignore no-console
+      console.log(cliTheme.warning(`Unknown key: ${key}`));
+    }
+
+    assertValidSettings();
+
+    // deno-lint-ignore no-console
+    console.log(`Settings are valid (configuration file: ${configPath ?? 'none'}).`);
   });
 
-cli.parse(Deno.args);
+cli.command('config', configCommand);
+
+// NOTE: Arguments are not parsed when the module is imported, e.g. by tests
+if (import.meta.main) {
+  cli.parse(Deno.args);
+}
+
+export {
+  addUsageShares,
+  aggregateUsageByGroup,
+  buildMailMessage,
+  compareWithLastRun,
+  computeTrends,
+  formatDelimitedLine,
+  formatOpenMetrics,
+  getCheckResult,
+  getClientHealth,
+  getClientKey,
+  getClientMetrics,
+  getClientThresholds,
+  getColumns,
+  getConfigArgument,
+  getDailyRate,
+  getTableContent,
+  isBlankClient,
+  isFailedClient,
+  isOkClient,
+  isStaleClient,
+  isUnseenClient,
+  loadConfigFile,
+  maskSecretSetting,
+  mergeServerData,
+  normalizeElement,
+  parseClientFilter,
+  parseFingerprints,
+  parseSize,
+  parseThresholdPolicies,
+  readExcludeFile,
+  renderHtmlDocument,
+  renderHtmlTable,
+  renderMarkdownTable,
+  renderNotification,
+  renderTemplate,
+  resolvePassword,
+  sendMail,
+  sortElements,
+  storeServerData,
+  validateSettings,
+  wildcardToRegExp,
+};
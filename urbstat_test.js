@@ -0,0 +1,761 @@
+import assert from 'assert';
+import {
+  addUsageShares,
+  aggregateUsageByGroup,
+  buildMailMessage,
+  compareWithLastRun,
+  computeTrends,
+  formatDelimitedLine,
+  formatOpenMetrics,
+  getCheckResult,
+  getClientHealth,
+  getClientKey,
+  getClientMetrics,
+  getClientThresholds,
+  getColumns,
+  getConfigArgument,
+  getDailyRate,
+  getTableContent,
+  isBlankClient,
+  isFailedClient,
+  isOkClient,
+  isStaleClient,
+  isUnseenClient,
+  loadConfigFile,
+  maskSecretSetting,
+  mergeServerData,
+  normalizeElement,
+  parseClientFilter,
+  parseFingerprints,
+  parseSize,
+  parseThresholdPolicies,
+  readExcludeFile,
+  renderHtmlDocument,
+  renderHtmlTable,
+  renderMarkdownTable,
+  renderNotification,
+  renderTemplate,
+  resolvePassword,
+  sendMail,
+  sortElements,
+  storeServerData,
+  wildcardToRegExp,
+} from './urbstat.js';
+
+const neverBackedUpClient = {
+  id: 7,
+  name: 'alpha',
+  online: true,
+  delete_pending: '',
+  lastseen: 0,
+  lastbackup: 0,
+  lastbackup_image: 0,
+  file_ok: true,
+  last_filebackup_issues: 0,
+  image_ok: false,
+  status: 0,
+};
+
+Deno.test('normalizeElement uses stable field names and normalized values', () => {
+  const element = normalizeElement(neverBackedUpClient, 'client', false);
+
+  assert.equal(element.id, 7);
+  assert.equal(element.name, 'alpha');
+  assert.equal(element.isOnline, 'yes');
+  assert.equal(element.toRemove, 'no');
+  assert.equal(element.lastSeen, 'never');
+  assert.equal(element.statusFile, 'ok');
+  assert.equal(element.statusImage, 'failed');
+  assert.equal(element.groupName, null);
+});
+
+Deno.test('normalizeElement keeps raw values when requested', () => {
+  const element = normalizeElement(neverBackedUpClient, 'client', true);
+
+  assert.equal(element.isOnline, true);
+  assert.equal(element.toRemove, '');
+  assert.equal(element.lastSeen, 0);
+  assert.equal(element.groupName, null);
+});
+
+Deno.test('formatDelimitedLine quotes CSV fields according to RFC 4180', () => {
+  assert.equal(formatDelimitedLine(['alpha', 'a,b', 'say "hi"', 'two\nlines', null, 3], 'csv'), 'alpha,"a,b","say ""hi""","two\nlines",,3');
+});
+
+Deno.test('formatDelimitedLine replaces tabs and line breaks in TSV fields', () => {
+  assert.equal(formatDelimitedLine(['a\tb', 'two\r\nlines', { x: 1 }, undefined], 'tsv'), 'a b\ttwo lines\t{"x":1}\t');
+});
+
+Deno.test('getColumns keeps the selected order and ignores unknown columns', () => {
+  assert.deepEqual(getColumns('client', ' isOnline, name ,bogus').map((column) => column.property), ['online', 'name']);
+  assert.deepEqual(getColumns('client', ['groupName']).map((column) => column.property), ['groupname']);
+});
+
+Deno.test('getColumns defaults to the table columns', () => {
+  const columns = getColumns('client', '');
+
+  assert.ok(columns.length > 0);
+  assert.ok(columns.every((column) => column.table?.include === true));
+});
+
+Deno.test('getCheckResult reports the state by the number of matching clients', () => {
+  assert.deepEqual(getCheckResult('failed-clients', [], 0, 1).state, { label: 'OK', exitCode: 0 });
+  assert.deepEqual(getCheckResult('failed-clients', ['alpha'], 0, 1).state, { label: 'WARNING', exitCode: 1 });
+  assert.deepEqual(getCheckResult('failed-clients', ['alpha', 'beta'], 0, 1).state, { label: 'CRITICAL', exitCode: 2 });
+  assert.deepEqual(getCheckResult('failed-clients', ['alpha', 'beta'], 2, 2).state, { label: 'OK', exitCode: 0 });
+});
+
+Deno.test('getCheckResult prints matching clients and performance data', () => {
+  assert.equal(getCheckResult('stale-clients', ['alpha', 'beta'], 0, 5).line, 'URBSTAT WARNING - 2 stale clients: alpha, beta | stale_clients=2;0;5;0');
+  assert.equal(getCheckResult('unseen-clients', [], 0, 5).line, 'URBSTAT OK - 0 unseen clients | unseen_clients=0;0;5;0');
+});
+
+Deno.test('getClientMetrics expresses flags as numbers and ages in seconds', () => {
+  const client = {
+    id: 3,
+    groupname: 'office',
+    online: true,
+    status: 0,
+    file_ok: true,
+    last_filebackup_issues: 2,
+    file_disabled: false,
+    image_ok: false,
+    image_disabled: true,
+    lastbackup: 1000,
+    lastbackup_image: 0,
+    lastseen: 1900,
+  };
+
+  assert.deepEqual(getClientMetrics(client, { files: 10, images: 20, used: 30 }, 2000), {
+    id: 3,
+    group: 'office',
+    online: 1,
+    active: 0,
+    fileOk: 1,
+    fileIssues: 2,
+    fileDisabled: 0,
+    imageOk: 0,
+    imageDisabled: 1,
+    lastFileAge: 1000,
+    lastImageAge: -1,
+    lastSeenAge: 100,
+    fileBytes: 10,
+    imageBytes: 20,
+    usedBytes: 30,
+  });
+});
+
+Deno.test('getClientMetrics uses defaults for clients without usage', () => {
+  const metrics = getClientMetrics({ id: 4, groupname: null, lastseen: 0 }, undefined, 2000);
+
+  assert.equal(metrics.group, '');
+  assert.equal(metrics.lastSeenAge, -1);
+  assert.equal(metrics.usedBytes, 0);
+});
+
+Deno.test('formatOpenMetrics renders gauges with escaped label values and the EOF marker', () => {
+  const text = formatOpenMetrics([
+    { name: 'urbstat_clients', help: 'Number of clients.', samples: [{ value: 3 }] },
+    { name: 'urbstat_client_online', help: 'Whether the client is online.', samples: [{ labels: { client: 'say "hi"\\now', group: 'a\nb' }, value: 1 }] },
+  ]);
+
+  assert.equal(
+    text,
+    [
+      '# TYPE urbstat_clients gauge',
+      '# HELP urbstat_clients Number of clients.',
+      'urbstat_clients 3',
+      '# TYPE urbstat_client_online gauge',
+      '# HELP urbstat_client_online Whether the client is online.',
+      'urbstat_client_online{client="say \\"hi\\"\\\\now",group="a\\nb"} 1',
+      '# EOF',
+      '',
+    ].join('\n'),
+  );
+});
+
+Deno.test('formatOpenMetrics renders families without samples', () => {
+  assert.equal(formatOpenMetrics([{ name: 'urbstat_up', help: 'Whether the server is up.', samples: [] }]), '# TYPE urbstat_up gauge\n# HELP urbstat_up Whether the server is up.\n# EOF\n');
+});
+
+Deno.test('isFailedClient and isOkClient treat file backups with issues as failed in strict mode only', () => {
+  const client = { file_ok: true, last_filebackup_issues: 1, image_ok: false, image_disabled: true };
+  const matchOptions = { includeFileBackups: true, includeImageBackups: true };
+
+  assert.equal(isFailedClient(client, { ...matchOptions, failOnFileIssues: false }), false);
+  assert.equal(isFailedClient(client, { ...matchOptions, failOnFileIssues: true }), true);
+  assert.equal(isOkClient(client, { ...matchOptions, failOnFileIssues: false }), true);
+  assert.equal(isOkClient(client, { ...matchOptions, failOnFileIssues: true }), false);
+});
+
+Deno.test('isBlankClient ignores disabled and skipped backup types', () => {
+  const client = { lastbackup: 100, lastbackup_image: 0, image_disabled: true };
+
+  assert.equal(isBlankClient(client, { includeFileBackups: true, includeImageBackups: true }), false);
+  assert.equal(isBlankClient({ ...client, image_disabled: false }, { includeFileBackups: true, includeImageBackups: true }), true);
+  assert.equal(isBlankClient({ ...client, image_disabled: false }, { includeFileBackups: true, includeImageBackups: false }), false);
+});
+
+Deno.test('isStaleClient and isUnseenClient compare ages in minutes with the thresholds of backup types', () => {
+  const currentEpochTime = 100000;
+  const client = { lastbackup: currentEpochTime - 3600, lastbackup_image: currentEpochTime - 600, lastseen: currentEpochTime - 1200 };
+
+  assert.equal(isStaleClient(client, { includeFileBackups: true, includeImageBackups: false, currentEpochTime, fileTimeThreshold: 60, imageTimeThreshold: 5 }), true);
+  assert.equal(isStaleClient(client, { includeFileBackups: false, includeImageBackups: true, currentEpochTime, fileTimeThreshold: 5, imageTimeThreshold: 60 }), false);
+  assert.equal(isStaleClient(client, { includeFileBackups: false, includeImageBackups: true, currentEpochTime, fileTimeThreshold: 60, imageTimeThreshold: 10 }), true);
+  assert.equal(isUnseenClient(client, { currentEpochTime, timeThreshold: 20 }), true);
+  assert.equal(isUnseenClient(client, { currentEpochTime, timeThreshold: 21 }), false);
+});
+
+Deno.test('parseThresholdPolicies parses selectors and thresholds in the order of definition', () => {
+  const policies = parseThresholdPolicies('group:mobile stale=10080 unseen=20160; client:srv-* stale-file=1440 stale-image=2880;');
+
+  assert.deepEqual(policies.map((policy) => policy.selector), ['group:mobile', 'client:srv-*']);
+  assert.deepEqual(policies[0].thresholds, { staleFile: 10080, staleImage: 10080, unseen: 20160 });
+  assert.deepEqual(policies[1].thresholds, { staleFile: 1440, staleImage: 2880 });
+});
+
+Deno.test('parseThresholdPolicies matches groups exactly and clients by wildcard pattern', () => {
+  const [groupPolicy, clientPolicy] = parseThresholdPolicies('group:"Mobile Laptops" unseen=60; client:db-? stale=60');
+
+  assert.equal(groupPolicy.matches({ name: 'laptop', groupname: 'Mobile Laptops' }), true);
+  assert.equal(groupPolicy.matches({ name: 'laptop', groupname: 'Mobile' }), false);
+  assert.equal(clientPolicy.matches({ name: 'db-1', groupname: '' }), true);
+  assert.equal(clientPolicy.matches({ name: 'db-10', groupname: '' }), false);
+});
+
+Deno.test('parseThresholdPolicies returns no policies for empty text', () => {
+  assert.deepEqual(parseThresholdPolicies(''), []);
+  assert.deepEqual(parseThresholdPolicies(' ; '), []);
+});
+
+Deno.test('parseThresholdPolicies rejects invalid selectors and thresholds', () => {
+  assert.throws(() => parseThresholdPolicies('host:srv stale=60'), /Invalid threshold policy selector "host:srv"/);
+  assert.throws(() => parseThresholdPolicies('client:srv stale=1h'), /Invalid threshold "stale=1h"/);
+  assert.throws(() => parseThresholdPolicies('client:srv seen=60'), /Invalid threshold "seen=60"/);
+});
+
+Deno.test('getClientThresholds applies the first matching policy and falls back to the defaults', () => {
+  const policies = parseThresholdPolicies('client:srv-* stale-file=60; group:office stale=120 unseen=240');
+  const defaultThresholds = { stale: 1440, unseen: 2880 };
+
+  assert.deepEqual(getClientThresholds({ name: 'srv-db', groupname: 'office' }, policies, defaultThresholds), { staleFile: 60, staleImage: 1440, unseen: 2880, policy: 'client:srv-*' });
+  assert.deepEqual(getClientThresholds({ name: 'pc', groupname: 'office' }, policies, defaultThresholds), { staleFile: 120, staleImage: 120, unseen: 240, policy: 'group:office' });
+  assert.deepEqual(getClientThresholds({ name: 'pc', groupname: '' }, policies, defaultThresholds), { staleFile: 1440, staleImage: 1440, unseen: 2880, policy: 'default' });
+});
+
+Deno.test('parseClientFilter compares fields by key or property name, case-insensitively', () => {
+  const client = { id: 2, name: 'SRV-db', os_simple: 'Windows', online: false, client_version_string: '2.5.3' };
+
+  assert.equal(parseClientFilter('osType=windows', 0)(client), true);
+  assert.equal(parseClientFilter('os_simple!=windows', 0)(client), false);
+  assert.equal(parseClientFilter('name~^srv-', 0)(client), true);
+  assert.equal(parseClientFilter('name !~ db$', 0)(client), false);
+  assert.equal(parseClientFilter('isOnline=no', 0)(client), true);
+  assert.equal(parseClientFilter('online=true', 0)(client), false);
+  assert.equal(parseClientFilter('id>=2', 0)(client), true);
+  assert.equal(parseClientFilter('id<2', 0)(client), false);
+});
+
+Deno.test('parseClientFilter compares versions with numeric collation', () => {
+  assert.equal(parseClientFilter('version<2.5.25', 0)({ client_version_string: '2.5.3' }), true);
+  assert.equal(parseClientFilter('version<2.5.25', 0)({ client_version_string: '2.5.30' }), false);
+});
+
+Deno.test('parseClientFilter compares timestamps with a duration by age', () => {
+  const currentEpochTime = 1700000000;
+  const isUnseen = parseClientFilter('lastSeen>2d', currentEpochTime);
+
+  assert.equal(isUnseen({ lastseen: currentEpochTime - 3 * 86400 }), true);
+  assert.equal(isUnseen({ lastseen: currentEpochTime - 86400 }), false);
+  assert.equal(parseClientFilter('lastSeen<=90m', currentEpochTime)({ lastseen: currentEpochTime - 5400 }), true);
+});
+
+Deno.test('parseClientFilter rejects invalid expressions', () => {
+  assert.throws(() => parseClientFilter('name', 0), /Invalid filter "name"/);
+  assert.throws(() => parseClientFilter('hostname=srv', 0), /Unknown filter field "hostname"/);
+  assert.throws(() => parseClientFilter('name~[', 0), /Invalid regular expression in filter "name~\["/);
+});
+
+Deno.test('wildcardToRegExp matches whole names with literal dots', () => {
+  const pattern = wildcardToRegExp('db.?-*');
+
+  assert.equal(pattern.test('db.1-office'), true);
+  assert.equal(pattern.test('dbx1-office'), false);
+  assert.equal(pattern.test('old-db.1-office'), false);
+});
+
+Deno.test('readExcludeFile reads patterns, ignoring comments and empty lines', async () => {
+  const path = await Deno.makeTempFile();
+
+  try {
+    await Deno.writeTextFile(path, '# decommissioned\r\nold-*\n\n  lab-?  \n');
+    const patterns = await readExcludeFile(path);
+
+    assert.deepEqual(patterns.map((pattern) => pattern.source), ['^old-.*$', '^lab-.$']);
+  } finally {
+    await Deno.remove(path);
+  }
+});
+
+Deno.test('readExcludeFile returns no patterns without a path and fails for a missing file', async () => {
+  assert.deepEqual(await readExcludeFile(''), []);
+  await assert.rejects(() => readExcludeFile('/nonexistent/urbstat.exclude'), /Cannot read exclude file "\/nonexistent\/urbstat\.exclude"/);
+});
+
+Deno.test('mergeServerData concatenates lists and tags elements with their profile', () => {
+  const office = { clients: [{ id: 1, name: 'alpha' }], activities: { current: [], last: [{ id: 7 }] }, usage: null };
+  const lab = { clients: [{ id: 1, name: 'beta' }], activities: { current: [{ id: 3 }], last: [] }, usage: null };
+
+  assert.deepEqual(mergeServerData([{ profileName: 'office', data: office }, { profileName: 'lab', data: lab }]), {
+    clients: [{ id: 1, name: 'alpha', urbstat_server: 'office' }, { id: 1, name: 'beta', urbstat_server: 'lab' }],
+    activities: { current: [{ id: 3, urbstat_server: 'lab' }], last: [{ id: 7, urbstat_server: 'office' }] },
+    usage: null,
+  });
+  assert.deepEqual(office.clients, [{ id: 1, name: 'alpha' }]);
+});
+
+Deno.test('getConfigArgument reads the --config option before the arguments are parsed', () => {
+  assert.equal(getConfigArgument(['clients', '--config', 'a.conf']), 'a.conf');
+  assert.equal(getConfigArgument(['--config=b.conf', 'clients']), 'b.conf');
+  assert.equal(getConfigArgument(['--config']), '');
+  assert.equal(getConfigArgument(['clients', '--', '--config', 'c.conf']), undefined);
+  assert.equal(getConfigArgument(['clients']), undefined);
+});
+
+Deno.test('loadConfigFile loads included files first, keys of the including file taking precedence', async () => {
+  const directory = await Deno.makeTempDir();
+
+  try {
+    await Deno.mkdir(`${directory}/conf.d`);
+    await Deno.writeTextFile(`${directory}/conf.d/common.conf`, 'URBSTAT_SERVER_URL="http://backup.example.com:55414"\nURBSTAT_LOCALE="de"\n');
+    await Deno.writeTextFile(`${directory}/urbstat.conf`, 'URBSTAT_CONFIG_INCLUDE="conf.d/common.conf"\nURBSTAT_LOCALE="pl"\n');
+    const { values, sources } = await loadConfigFile(`${directory}/urbstat.conf`);
+
+    assert.deepEqual(values, { URBSTAT_SERVER_URL: 'http://backup.example.com:55414', URBSTAT_LOCALE: 'pl' });
+    assert.deepEqual(sources, { URBSTAT_SERVER_URL: `${directory}/conf.d/common.conf`, URBSTAT_LOCALE: `${directory}/urbstat.conf` });
+  } finally {
+    await Deno.remove(directory, { recursive: true });
+  }
+});
+
+Deno.test('validateSettings reports invalid settings with their source', async () => {
+  Deno.env.set('URBSTAT_SERVER_URL', 'ftp://backup.example.com');
+  Deno.env.set('URBSTAT_LOCALE', 'no locale');
+
+  try {
+    // NOTE: Settings are read when the module is loaded, so a separate instance of the module is imported
+    const module = await import('./urbstat.js?invalid-settings');
+    const problems = module.validateSettings();
+
+    assert.ok(problems.includes('URBSTAT_SERVER_URL="ftp://backup.example.com" (environment): expected an HTTP or HTTPS URL'));
+    assert.ok(problems.some((problem) => problem.startsWith('URBSTAT_LOCALE="no locale" (environment): ')));
+  } finally {
+    Deno.env.delete('URBSTAT_SERVER_URL');
+    Deno.env.delete('URBSTAT_LOCALE');
+  }
+});
+
+Deno.test('resolvePassword reads the password file without the trailing line break', async () => {
+  const path = await Deno.makeTempFile();
+
+  try {
+    await Deno.writeTextFile(path, 'secret\n');
+
+    assert.equal(resolvePassword({ command: '', file: path, password: 'plain' }), 'secret');
+  } finally {
+    await Deno.remove(path);
+  }
+});
+
+Deno.test('resolvePassword falls back to the password', () => {
+  assert.equal(resolvePassword({ command: '', file: '', password: 'plain' }), 'plain');
+});
+
+Deno.test('resolvePassword fails for a missing password file', () => {
+  assert.throws(() => resolvePassword({ command: '', file: '/nonexistent/password', password: '' }), /Cannot read password file "\/nonexistent\/password"/);
+});
+
+Deno.test('resolvePassword fails for a password command without the run permission', () => {
+  assert.throws(() => resolvePassword({ command: 'pass show urbstat', file: '', password: 'plain' }), /Password command "pass" requires the run permission/);
+});
+
+Deno.test('parseFingerprints normalizes separators and case', () => {
+  assert.deepEqual(parseFingerprints('ab:cd:ef, 01 23 ,,'), ['ABCDEF', '0123']);
+  assert.deepEqual(parseFingerprints(''), []);
+  assert.deepEqual(parseFingerprints(undefined), []);
+});
+
+Deno.test('parseSize parses bytes and units in powers of 1024', () => {
+  assert.equal(parseSize('500'), 500);
+  assert.equal(parseSize('10kb'), 10240);
+  assert.equal(parseSize(' 2 MB '), 2097152);
+  assert.equal(parseSize('500GB'), 500 * 1024 ** 3);
+  assert.equal(parseSize('1.5 TB'), 1.5 * 1024 ** 4);
+});
+
+Deno.test('parseSize returns NaN for invalid sizes', () => {
+  assert.equal(parseSize(''), NaN);
+  assert.equal(parseSize('GB'), NaN);
+  assert.equal(parseSize('-5GB'), NaN);
+  assert.equal(parseSize('5 XB'), NaN);
+});
+
+Deno.test('getDailyRate fits the change per day', () => {
+  assert.equal(getDailyRate([[0, 0], [86400, 1000], [172800, 2000]]), 1000);
+  assert.equal(getDailyRate([[0, 100], [43200, 80], [86400, 20], [129600, 40]]), -48);
+});
+
+Deno.test('getDailyRate returns null without two distinct measurement times', () => {
+  assert.equal(getDailyRate([[0, 100]]), null);
+  assert.equal(getDailyRate([[86400, 100], [86400, 200]]), null);
+});
+
+Deno.test('computeTrends summarizes usage, success rate and backups of clients in the latest snapshot', () => {
+  const day = 86400;
+  const backup = { id: 1, name: 'alpha', backuptime: 0, duration: 60, size_bytes: 10, del: false, restore: 0 };
+  const snapshots = [
+    {
+      time: 0,
+      status: [{ name: 'alpha', file_ok: false }, { name: 'beta', file_ok: true }],
+      usage: [{ name: 'alpha', used: 100 }, { name: 'beta', used: 50 }],
+      lastActivities: [backup],
+    },
+    {
+      time: day,
+      status: [{ name: 'alpha', file_ok: true }],
+      usage: [{ name: 'alpha', used: 300 }],
+      lastActivities: [backup, { ...backup, id: 2, backuptime: day, duration: 120, size_bytes: 30 }, { ...backup, id: 3, backuptime: day, del: true }],
+    },
+  ];
+  const { clients, storage } = computeTrends(snapshots, 0, { includeFileBackups: true, includeImageBackups: false, failOnFileIssues: false });
+
+  assert.deepEqual(clients, [{ name: 'alpha', used: 300, growth: 200, growth_per_day: 200, success_rate: 0.5, snapshots: 2, backups: 2, average_duration: 90, average_size: 20 }]);
+  assert.deepEqual(storage, { used: 300, growthPerDay: 150 });
+});
+
+/**
+ * Runs a test with the data directory in a temporary directory, deleted afterwards.
+ *
+ * @param {Function} test - The test.
+ * @returns {Promise<void>}
+ */
+const withDataDirectory = async function (test) {
+  const dataHome = Deno.env.get('XDG_DATA_HOME');
+  const directory = await Deno.makeTempDir();
+  Deno.env.set('XDG_DATA_HOME', directory);
+
+  try {
+    await test(directory);
+  } finally {
+    if (typeof dataHome === 'string') {
+      Deno.env.set('XDG_DATA_HOME', dataHome);
+    } else {
+      Deno.env.delete('XDG_DATA_HOME');
+    }
+    await Deno.remove(directory, { recursive: true });
+  }
+};
+
+Deno.test('compareWithLastRun tags clients that changed since the saved run', async () => {
+  await withDataDirectory(async () => {
+    const [alpha, beta, gamma, delta, epsilon] = ['alpha', 'beta', 'gamma', 'delta', 'epsilon'].map((name, index) => ({ id: index + 1, name: name }));
+
+    await storeServerData({ clients: [alpha, beta, gamma, epsilon] }, ['all-clients'], {});
+    const firstRun = await compareWithLastRun('failed-clients', [alpha, beta, epsilon], {});
+    assert.deepEqual(firstRun.changes, []);
+    await firstRun.save();
+
+    await storeServerData({ clients: [alpha, beta, gamma, delta] }, ['all-clients'], {});
+    const secondRun = await compareWithLastRun('failed-clients', [alpha, gamma, delta], {});
+    assert.deepEqual(secondRun.changes, [
+      { ...gamma, urbstat_change: 'new' },
+      { ...delta, urbstat_change: 'appeared' },
+      { ...beta, urbstat_change: 'recovered' },
+      { ...epsilon, urbstat_change: 'disappeared' },
+    ]);
+  });
+});
+
+Deno.test('compareWithLastRun reports clients leaving other lists as left', async () => {
+  await withDataDirectory(async () => {
+    const [alpha, beta] = [{ id: 1, name: 'alpha' }, { id: 2, name: 'beta' }];
+
+    await storeServerData({ clients: [alpha, beta] }, ['all-clients'], {});
+    await (await compareWithLastRun('online-clients', [alpha, beta], {})).save();
+
+    assert.deepEqual((await compareWithLastRun('online-clients', [alpha], {})).changes, [{ ...beta, urbstat_change: 'left' }]);
+  });
+});
+
+Deno.test('compareWithLastRun saves the result only when asked to', async () => {
+  await withDataDirectory(async () => {
+    const alpha = { id: 1, name: 'alpha' };
+
+    await storeServerData({ clients: [alpha] }, ['all-clients'], {});
+    await compareWithLastRun('failed-clients', [], {});
+
+    assert.deepEqual((await compareWithLastRun('failed-clients', [alpha], {})).changes, []);
+  });
+});
+
+Deno.test('compareWithLastRun keeps results of different options, profiles and namespaces apart', async () => {
+  await withDataDirectory(async (directory) => {
+    const alpha = { id: 1, name: 'alpha' };
+
+    await storeServerData({ clients: [alpha] }, ['all-clients'], {});
+    await (await compareWithLastRun('failed-clients', [], {})).save();
+
+    assert.deepEqual((await compareWithLastRun('failed-clients', [alpha], { groupName: 'office' })).changes, []);
+    assert.deepEqual((await compareWithLastRun('failed-clients', [alpha], { skipFile: true })).changes, []);
+    assert.deepEqual((await compareWithLastRun('failed-clients', [alpha], { profile: 'lab' })).changes, []);
+    assert.deepEqual((await compareWithLastRun('failed-clients', [alpha], {}, 'notify')).changes, []);
+    assert.deepEqual((await compareWithLastRun('failed-clients', [alpha], {})).changes, [{ ...alpha, urbstat_change: 'new' }]);
+    assert.equal((await Array.fromAsync(Deno.readDir(`${directory}/urbstat/state/default`))).length, 1);
+  });
+});
+
+/**
+ * Decodes base64 text, possibly split into lines, as UTF-8.
+ *
+ * @param {string} text - The base64 text.
+ * @returns {string} The decoded text.
+ */
+const decodeBase64 = function (text) {
+  return new TextDecoder().decode(Uint8Array.from(atob(text.replaceAll('\r\n', '')), (character) => character.charCodeAt(0)));
+};
+
+/**
+ * Gets the decoded body of a part of a multipart e-mail message.
+ *
+ * @param {string} message - The message.
+ * @param {string} contentType - The content type of the part, e.g. 'text/plain'.
+ * @returns {string} The decoded body.
+ */
+const getMailPart = function (message, contentType) {
+  const boundary = message.match(/boundary="([^"]+)"/)[1];
+  const part = message.split(`--${boundary}`).find((element) => element.includes(`Content-Type: ${contentType};`));
+
+  return decodeBase64(part.split('\r\n\r\n')[1].trim());
+};
+
+const mail = { from: 'urbstat@example.com', to: ['admin@example.com', 'backup@example.com'], subject: 'Failed clients: 1', text: 'Failed clients: alpha', html: '<p>Failed clients: alpha</p>' };
+
+Deno.test('buildMailMessage builds plain text and HTML alternatives with CRLF line breaks', () => {
+  const message = buildMailMessage(mail);
+
+  assert.match(message, /^From: urbstat@example\.com\r\nTo: admin@example\.com, backup@example\.com\r\nSubject: Failed clients: 1\r\n/);
+  assert.match(message, /\r\nMIME-Version: 1\.0\r\nContent-Type: multipart\/alternative; boundary="urbstat-[\w-]+"\r\n/);
+  assert.equal(/[^\r]\n/.test(message), false);
+  assert.ok(message.split('\r\n').every((line) => line.length <= 998));
+  assert.equal(getMailPart(message, 'text/plain'), 'Failed clients: alpha');
+  assert.match(getMailPart(message, 'text/html'), /<title>Failed clients: 1<\/title>[\s\S]*<p>Failed clients: alpha<\/p>/);
+});
+
+Deno.test('buildMailMessage encodes non-ASCII subjects and bodies', () => {
+  const subject = 'Kopie zapasowe: b\u0142\u0105d';
+  const text = 'Za\u017c\u00f3\u0142\u0107 g\u0119\u015bl\u0105 ja\u017a\u0144 '.repeat(10);
+  const message = buildMailMessage({ ...mail, subject: subject, text: text });
+
+  assert.deepEqual(decodeBase64(message.match(/^Subject: =\?UTF-8\?B\?([^?]+)\?=\r$/m)[1]), subject);
+  assert.deepEqual(getMailPart(message, 'text/plain'), text);
+});
+
+/**
+ * Starts an SMTP server accepting a single session on a random local port. Commands are accepted, except for the rejected one.
+ *
+ * @param {string} [rejectedVerb] - The verb of the command to reject, e.g. 'RCPT'.
+ * @returns {Object} The `port` of the server and the `session`, resolved with the received `commands` and `message` when the session ends.
+ */
+const startSmtpServer = function (rejectedVerb) {
+  const listener = Deno.listen({ hostname: '127.0.0.1', port: 0 });
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const replies = { EHLO: '250 localhost', AUTH: '235 Authenticated', MAIL: '250 OK', RCPT: '250 OK', DATA: '354 End data with <CR><LF>.<CR><LF>', QUIT: '221 Bye' };
+  const received = { commands: [], message: null };
+
+  const serve = async (connection, buffer, isData) => {
+    const separator = isData ? '\r\n.\r\n' : '\r\n';
+    const separatorIndex = buffer.indexOf(separator);
+
+    if (separatorIndex < 0) {
+      const chunk = new Uint8Array(4096);
+      const bytesRead = await connection.read(chunk);
+      return bytesRead === null ? undefined : serve(connection, buffer + decoder.decode(chunk.subarray(0, bytesRead)), isData);
+    }
+
+    const remainingBuffer = buffer.slice(separatorIndex + separator.length);
+    if (isData) {
+      received.message = buffer.slice(0, separatorIndex);
+      await connection.write(encoder.encode('250 Queued\r\n'));
+      return serve(connection, remainingBuffer, false);
+    }
+
+    const command = buffer.slice(0, separatorIndex);
+    const verb = command.split(' ')[0];
+    received.commands.push(command);
+    await connection.write(encoder.encode(`${verb === rejectedVerb ? '550 Rejected' : (replies[verb] ?? '500 Unknown command')}\r\n`));
+
+    return verb === 'QUIT' ? undefined : serve(connection, remainingBuffer, verb === 'DATA' && verb !== rejectedVerb);
+  };
+
+  const session = listener.accept().then(async (connection) => {
+    try {
+      await connection.write(encoder.encode('220 localhost ESMTP\r\n'));
+      await serve(connection, '', false);
+    } finally {
+      connection.close();
+      listener.close();
+    }
+
+    return received;
+  });
+
+  return { port: listener.addr.port, session: session };
+};
+
+Deno.test('sendMail delivers the message to all recipients', async () => {
+  const server = startSmtpServer();
+
+  await sendMail({ host: '127.0.0.1', port: server.port, security: 'none', username: '', password: '' }, mail);
+  const { commands, message } = await server.session;
+
+  assert.deepEqual(commands, [
+    'EHLO localhost',
+    'MAIL FROM:<urbstat@example.com>',
+    'RCPT TO:<admin@example.com>',
+    'RCPT TO:<backup@example.com>',
+    'DATA',
+    'QUIT',
+  ]);
+  assert.match(message, /^From: urbstat@example\.com\r\n/);
+  assert.equal(getMailPart(message, 'text/plain'), 'Failed clients: alpha');
+});
+
+Deno.test('sendMail refuses to send credentials over an unencrypted connection', async () => {
+  await assert.rejects(() => sendMail({ host: '127.0.0.1', port: 25, security: 'none', username: 'urbstat', password: 'secret' }, mail), /credentials are not sent over an unencrypted connection/);
+});
+
+Deno.test('maskSecretSetting masks passwords, tokens and webhook URLs', () => {
+  assert.equal(maskSecretSetting('URBSTAT_NOTIFY_SMTP_PASSWORD', 'secret'), '********');
+  assert.equal(maskSecretSetting('URBSTAT_NOTIFY_MATRIX_TOKEN', 'token'), '********');
+  assert.equal(maskSecretSetting('URBSTAT_NOTIFY_SLACK_URL', 'https://hooks.slack.com/services/T0/B0/secret'), '********');
+  assert.equal(maskSecretSetting('URBSTAT_NOTIFY_TEAMS_URL', 'https://example.webhook.office.com/secret'), '********');
+  assert.equal(maskSecretSetting('URBSTAT_NOTIFY_WEBHOOK_URL', 'https://example.com/hook?key=secret'), '********');
+  assert.equal(maskSecretSetting('URBSTAT_NOTIFY_MATRIX_URL', 'https://matrix.example.com'), 'https://matrix.example.com');
+  assert.equal(maskSecretSetting('URBSTAT_NOTIFY_SLACK_URL', ''), '');
+});
+
+Deno.test('sendMail fails when the server rejects a command', async () => {
+  const server = startSmtpServer('RCPT');
+
+  await assert.rejects(() => sendMail({ host: '127.0.0.1', port: server.port, security: 'none', username: '', password: '' }, mail), /RCPT rejected: 550 Rejected/);
+  const { commands, message } = await server.session;
+
+  assert.equal(commands.at(-1), 'RCPT TO:<admin@example.com>');
+  assert.equal(message, null);
+});
+
+Deno.test('renderTemplate replaces known placeholders and keeps unknown ones', () => {
+  assert.equal(renderTemplate('{count} {title} on {server}: {unknown}', { count: 2, title: 'Failed clients', server: 'main' }), '2 Failed clients on main: {unknown}');
+});
+
+Deno.test('renderNotification escapes values in HTML only', () => {
+  const content = { title: 'Failed <clients>', command: 'failed-clients', count: 1, names: ['a&b'], server: 'main', headers: ['Name'], rows: [['a&b']], data: [] };
+  const notification = renderNotification(content, '{title}: {count}', '{names}\n{table}');
+
+  assert.equal(notification.subject, 'Failed <clients>: 1');
+  assert.equal(notification.text.split('\n')[0], 'a&b');
+  assert.match(notification.html, /^a&amp;b<br>\n<table /);
+  assert.match(notification.html, /<td [^>]*>a&amp;b<\/td>/);
+});
+
+Deno.test('renderMarkdownTable escapes pipes and line breaks of fields', () => {
+  assert.equal(
+    renderMarkdownTable(['Name', 'Group'], [['a|b', 'line 1\nline 2'], ['c', null]]),
+    ['| Name | Group |', '| --- | --- |', '| a\\|b | line 1<br>line 2 |', '| c |  |'].join('\n'),
+  );
+});
+
+Deno.test('renderHtmlTable escapes headers and fields', () => {
+  const table = renderHtmlTable(['<Name>'], [['a & b'], ['"c"']]);
+
+  assert.match(table, /^<table [^>]*>\n<tr><th [^>]*>&lt;Name&gt;<\/th><\/tr>\n/);
+  assert.match(table, /<tr><td [^>]*>a &amp; b<\/td><\/tr>\n<tr><td [^>]*>&quot;c&quot;<\/td><\/tr>\n<\/table>$/);
+});
+
+Deno.test('renderHtmlDocument escapes the title and keeps the body', () => {
+  assert.match(renderHtmlDocument('Clients & groups', '<p>alpha</p>'), /<title>Clients &amp; groups<\/title>[\s\S]*<body>\n<p>alpha<\/p>\n<\/body>\n<\/html>$/);
+});
+
+Deno.test('getTableContent gets headers and normalized rows of the selected columns', () => {
+  const { headers, rows } = getTableContent([{ id: 7, del: true }, { id: 8, del: false }], 'activityLast', 'id,delete');
+
+  assert.deepEqual(headers, ['Activity ID', 'Delete']);
+  assert.deepEqual(rows, [[7, 'yes'], [8, 'no']]);
+});
+
+Deno.test('getClientHealth returns the most severe health of a client', () => {
+  const listedKeys = {
+    failed: new Set([getClientKey({ name: 'alpha' })]),
+    blank: new Set([getClientKey({ name: 'alpha' }), getClientKey({ name: 'beta' })]),
+    unseen: new Set(),
+    stale: new Set([getClientKey({ name: 'gamma', urbstat_server: 'lab' })]),
+  };
+
+  assert.equal(getClientHealth({ name: 'alpha', delete_pending: '1' }, listedKeys), 'removed');
+  assert.equal(getClientHealth({ name: 'alpha' }, listedKeys), 'failed');
+  assert.equal(getClientHealth({ name: 'beta' }, listedKeys), 'blank');
+  assert.equal(getClientHealth({ name: 'gamma', urbstat_server: 'lab' }, listedKeys), 'stale');
+  assert.equal(getClientHealth({ name: 'gamma' }, listedKeys), 'ok');
+});
+
+Deno.test('addUsageShares adds shares of the total usage in percent', () => {
+  const usage = [{ name: 'alpha', files: 30, images: 0, used: 30 }, { name: 'beta', files: 10, images: 60, used: 70 }];
+
+  assert.deepEqual(addUsageShares(usage), [
+    { name: 'alpha', files: 30, images: 0, used: 30, urbstat_files_percent: 75, urbstat_images_percent: 0, urbstat_used_percent: 30 },
+    { name: 'beta', files: 10, images: 60, used: 70, urbstat_files_percent: 25, urbstat_images_percent: 100, urbstat_used_percent: 70 },
+  ]);
+  assert.deepEqual(usage[0], { name: 'alpha', files: 30, images: 0, used: 30 });
+});
+
+Deno.test('addUsageShares uses zero shares without any usage', () => {
+  assert.deepEqual(addUsageShares([{ name: 'alpha', files: 0, images: 0, used: 0 }]), [
+    { name: 'alpha', files: 0, images: 0, used: 0, urbstat_files_percent: 0, urbstat_images_percent: 0, urbstat_used_percent: 0 },
+  ]);
+  assert.deepEqual(addUsageShares([]), []);
+});
+
+Deno.test('aggregateUsageByGroup sums usage of clients by group', () => {
+  const clients = [{ name: 'alpha', groupname: 'office' }, { name: 'beta', groupname: 'office' }, { name: 'gamma', groupname: '' }];
+  const usage = [
+    { name: 'alpha', files: 10, images: 20, used: 30 },
+    { name: 'beta', files: 5, images: 0, used: 5 },
+    { name: 'gamma', files: 1, images: 1, used: 2 },
+    { name: 'removed', files: 0, images: 50, used: 50 },
+  ];
+
+  assert.deepEqual(aggregateUsageByGroup(usage, clients), [
+    { urbstat_group: 'office', urbstat_clients: 2, files: 15, images: 20, used: 35 },
+    { urbstat_group: '', urbstat_clients: 1, files: 1, images: 1, used: 2 },
+    { urbstat_group: null, urbstat_clients: 1, files: 0, images: 50, used: 50 },
+  ]);
+});
+
+Deno.test('sortElements sorts the group of clients unknown to the server after all other groups', () => {
+  const groups = [{ urbstat_group: 'office' }, { urbstat_group: null }, { urbstat_group: '' }, { urbstat_group: 'lab' }];
+
+  sortElements(groups, 'usageGroup', 'name', false);
+  assert.deepEqual(groups.map((group) => group.urbstat_group), ['', 'lab', 'office', null]);
+});
+
+Deno.test('aggregateUsageByGroup keeps groups of merged servers apart', () => {
+  const clients = [{ name: 'alpha', groupname: 'office', urbstat_server: 'main' }, { name: 'alpha', groupname: 'lab', urbstat_server: 'backup' }];
+  const usage = [{ name: 'alpha', files: 1, images: 2, used: 3, urbstat_server: 'main' }, { name: 'alpha', files: 4, images: 5, used: 9, urbstat_server: 'backup' }];
+
+  assert.deepEqual(aggregateUsageByGroup(usage, clients), [
+    { urbstat_group: 'office', urbstat_clients: 1, files: 1, images: 2, used: 3, urbstat_server: 'main' },
+    { urbstat_group: 'lab', urbstat_clients: 1, files: 4, images: 5, used: 9, urbstat_server: 'backup' },
+  ]);
+});